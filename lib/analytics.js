@@ -0,0 +1,264 @@
+const { WEEKDAYS, isValidTimezone, getLocalTime } = require('./openingHours');
+const { ORDER_STATUS } = require('./orderLifecycle');
+const { roundCurrency } = require('./pricing');
+
+// Reporting over released orders. Every date is bucketed in the restaurant's
+// (or the requested) timezone, never the server's.
+const PERIODS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const LOST_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED];
+
+// Cancelled and rejected orders never count as revenue
+const countsAsRevenue = (order) => !LOST_STATUSES.includes(order.status);
+
+const shiftDate = (localDate, days) => {
+    const shifted = new Date(`${localDate}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+const localDateOf = (iso, timezone) => getLocalTime(new Date(iso), timezone).date;
+
+// Weeks start on Monday
+const periodKey = (localDate, period) => {
+    if (period === 'month') return localDate.slice(0, 7);
+    if (period === 'week') {
+        const weekday = new Date(`${localDate}T00:00:00Z`).getUTCDay();
+        return shiftDate(localDate, -((weekday + 6) % 7));
+    }
+    return localDate;
+};
+
+const average = (values) => (values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+    : null);
+
+const rate = (part, whole) => (whole > 0 ? Math.round(part / whole * 1000) / 1000 : 0);
+
+// Turns req.query into { errors, criteria }. from/to are local YYYY-MM-DD dates
+// (inclusive) and default to the last 30 days.
+const parseReportQuery = (query = {}, { defaultTimezone, now = new Date() }) => {
+    const errors = [];
+    const timezone = query.timezone || defaultTimezone;
+    const period = query.period || 'day';
+
+    if (!isValidTimezone(timezone)) {
+        errors.push({ field: 'timezone', message: `Unknown timezone: ${timezone}` });
+    }
+    if (!PERIODS.includes(period)) {
+        errors.push({ field: 'period', message: `period must be one of: ${PERIODS.join(', ')}` });
+    }
+    ['from', 'to'].forEach(field => {
+        if (query[field] !== undefined && !DATE_PATTERN.test(query[field])) {
+            errors.push({ field, message: `${field} must be a YYYY-MM-DD date` });
+        }
+    });
+
+    const limit = query.limit === undefined ? DEFAULT_TOP_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        errors.push({ field: 'limit', message: 'limit must be a positive whole number' });
+    }
+
+    if (errors.length > 0) {
+        return { errors, criteria: null };
+    }
+
+    const to = query.to || localDateOf(now, timezone);
+    const from = query.from || shiftDate(to, -(DEFAULT_RANGE_DAYS - 1));
+    if (from > to) {
+        return { errors: [{ field: 'from', message: 'from must not be after to' }], criteria: null };
+    }
+
+    return {
+        errors,
+        criteria: { from, to, period, timezone, limit: Math.min(limit, MAX_TOP_LIMIT) }
+    };
+};
+
+const filterByLocalDate = (orders, { from, to, timezone }) => orders.filter(order => {
+    const localDate = localDateOf(order.createdAt, timezone);
+    return localDate >= from && localDate <= to;
+});
+
+const discountOf = (order) => (order.discount ? order.discount.amount : 0);
+
+// Revenue and order counts per day, week or month
+const revenueSeries = (orders, { period, timezone }) => {
+    const buckets = new Map();
+
+    orders.forEach(order => {
+        const key = periodKey(localDateOf(order.createdAt, timezone), period);
+        const bucket = buckets.get(key) || { period: key, orders: 0, cancelled: 0, revenue: 0, discounts: 0 };
+
+        if (countsAsRevenue(order)) {
+            bucket.orders += 1;
+            bucket.revenue += order.total || 0;
+            bucket.discounts += discountOf(order);
+        } else {
+            bucket.cancelled += 1;
+        }
+        buckets.set(key, bucket);
+    });
+
+    return Array.from(buckets.values())
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(bucket => ({
+            ...bucket,
+            revenue: roundCurrency(bucket.revenue),
+            discounts: roundCurrency(bucket.discounts),
+            averageOrderValue: bucket.orders > 0 ? roundCurrency(bucket.revenue / bucket.orders) : 0
+        }));
+};
+
+// Best sellers by quantity. categoryOf(itemId) resolves the menu category.
+const topItems = (orders, { limit, categoryOf }) => {
+    const items = new Map();
+
+    orders.filter(countsAsRevenue).forEach(order => {
+        (order.items || []).forEach(line => {
+            const entry = items.get(line.id) || { id: line.id, name: line.name, category: categoryOf(line.id), quantity: 0, revenue: 0 };
+            entry.quantity += line.quantity;
+            entry.revenue += line.price * line.quantity;
+            items.set(line.id, entry);
+        });
+    });
+
+    return Array.from(items.values())
+        .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+        .slice(0, limit)
+        .map(entry => ({ ...entry, revenue: roundCurrency(entry.revenue) }));
+};
+
+const topCategories = (orders, { limit, categoryOf }) => {
+    const categories = new Map();
+
+    topItems(orders, { limit: Infinity, categoryOf }).forEach(item => {
+        const entry = categories.get(item.category) || { category: item.category, quantity: 0, revenue: 0 };
+        entry.quantity += item.quantity;
+        entry.revenue += item.revenue;
+        categories.set(item.category, entry);
+    });
+
+    return Array.from(categories.values())
+        .sort((a, b) => b.revenue - a.revenue)
+        .slice(0, limit)
+        .map(entry => ({ ...entry, revenue: roundCurrency(entry.revenue) }));
+};
+
+const reachedAt = (order, status) => {
+    const entry = (order.statusHistory || []).find(candidate => candidate.to === status);
+    return entry ? new Date(entry.at).getTime() : null;
+};
+
+const minutesBetween = (order, fromStatus, toStatus) => {
+    const start = fromStatus ? reachedAt(order, fromStatus) : new Date(order.releasedAt || order.createdAt).getTime();
+    const end = reachedAt(order, toStatus);
+    return start !== null && end !== null && end >= start ? (end - start) / 60000 : null;
+};
+
+// Average minutes for each stage, from the status history timestamps
+const averageTimings = (orders) => {
+    const collect = (fromStatus, toStatus) => orders
+        .map(order => minutesBetween(order, fromStatus, toStatus))
+        .filter(minutes => minutes !== null);
+
+    return {
+        acceptanceMinutes: average(collect(null, ORDER_STATUS.ACCEPTED)),
+        preparationMinutes: average(collect(ORDER_STATUS.ACCEPTED, ORDER_STATUS.READY)),
+        deliveryMinutes: average(collect(ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.DELIVERED)),
+        totalMinutes: average(collect(null, ORDER_STATUS.DELIVERED))
+    };
+};
+
+// Orders per weekday x hour of day (local time)
+const peakHours = (orders, { timezone }) => {
+    const counts = WEEKDAYS.map(() => new Array(24).fill(0));
+
+    orders.forEach(order => {
+        const local = getLocalTime(new Date(order.createdAt), timezone);
+        counts[WEEKDAYS.indexOf(local.weekday)][Math.floor(local.minutes / 60)] += 1;
+    });
+
+    let busiest = null;
+    counts.forEach((hours, day) => hours.forEach((count, hour) => {
+        if (count > 0 && (!busiest || count > busiest.orders)) {
+            busiest = { weekday: WEEKDAYS[day], hour, orders: count };
+        }
+    }));
+
+    return { weekdays: WEEKDAYS, counts, busiest };
+};
+
+// Share of customers in the range who ordered more than once
+const repeatCustomers = (orders) => {
+    const perCustomer = new Map();
+    orders.forEach(order => {
+        const key = order.customerId || order.customerInfo?.phone;
+        if (key) perCustomer.set(key, (perCustomer.get(key) || 0) + 1);
+    });
+
+    const repeat = Array.from(perCustomer.values()).filter(count => count > 1).length;
+    return { customers: perCustomer.size, repeatCustomers: repeat, repeatRate: rate(repeat, perCustomer.size) };
+};
+
+const buildReport = (allOrders, criteria, { categoryOf }) => {
+    const orders = filterByLocalDate(allOrders, criteria);
+    const completed = orders.filter(countsAsRevenue);
+    const lost = orders.length - completed.length;
+    const revenue = completed.reduce((sum, order) => sum + (order.total || 0), 0);
+
+    return {
+        range: { from: criteria.from, to: criteria.to, timezone: criteria.timezone, period: criteria.period },
+        summary: {
+            orders: orders.length,
+            completedOrders: completed.length,
+            cancelledOrders: lost,
+            cancellationRate: rate(lost, orders.length),
+            revenue: roundCurrency(revenue),
+            discounts: roundCurrency(completed.reduce((sum, order) => sum + discountOf(order), 0)),
+            averageOrderValue: completed.length > 0 ? roundCurrency(revenue / completed.length) : 0,
+            ...repeatCustomers(orders)
+        },
+        revenue: revenueSeries(orders, criteria),
+        topItems: topItems(orders, { limit: criteria.limit, categoryOf }),
+        topCategories: topCategories(orders, { limit: criteria.limit, categoryOf }),
+        timings: averageTimings(orders),
+        peakHours: peakHours(orders, criteria)
+    };
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }] -> CSV text with a header row
+const toCsv = (columns, rows) => [
+    columns.map(column => toCsvCell(column.label)).join(','),
+    ...rows.map(row => columns.map(column => toCsvCell(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+    PERIODS,
+    countsAsRevenue,
+    localDateOf,
+    parseReportQuery,
+    filterByLocalDate,
+    revenueSeries,
+    topItems,
+    topCategories,
+    averageTimings,
+    peakHours,
+    repeatCustomers,
+    buildReport,
+    toCsv
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+const ROLES = {
+    CUSTOMER: 'customer',
+    RESTAURANT: 'restaurant',
+    RIDER: 'rider'
+};
+
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+// Password hashing - scrypt with a per-user random salt, stored as "salt:hash"
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+};
+
+const verifyPassword = (password, storedHash) => {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+
+    const [salt, hash] = storedHash.split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Never send password hashes (or anything else private) to clients
+const toPublicUser = (user) => {
+    if (!user) return null;
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+};
+
+// Staff without a restaurantId are platform admins and may manage every outlet
+const isPlatformAdmin = (user) => Boolean(user && user.role === ROLES.RESTAURANT && !user.restaurantId);
+
+const canManageRestaurant = (user, restaurantId) => Boolean(
+    user && user.role === ROLES.RESTAURANT &&
+    (isPlatformAdmin(user) || user.restaurantId === restaurantId)
+);
+
+const extractBearerToken = (header) => {
+    if (typeof header !== 'string') return null;
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// Signed session tokens: base64url(JSON payload) + "." + HMAC-SHA256 signature.
+// findUser(role, id) is used to make sure the account still exists on every request.
+const createAuth = ({ secret, findUser, ttlSeconds = TOKEN_TTL_SECONDS }) => {
+    if (!secret) {
+        throw new Error('Auth requires a signing secret');
+    }
+
+    const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    const issueToken = (user) => {
+        const now = Math.floor(Date.now() / 1000);
+        const payload = Buffer.from(JSON.stringify({
+            sub: user.id,
+            role: user.role,
+            iat: now,
+            exp: now + ttlSeconds
+        })).toString('base64url');
+
+        return `${payload}.${sign(payload)}`;
+    };
+
+    // Returns the stored user for a valid token, or null
+    const verifyToken = (token) => {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+
+        return findUser(claims.role, claims.sub) || null;
+    };
+
+    // Express middleware - attaches req.user when a valid token is sent, never rejects
+    const authenticate = (req, res, next) => {
+        const token = extractBearerToken(req.headers.authorization);
+        req.user = token ? verifyToken(token) : null;
+        next();
+    };
+
+    // Express middleware - 401 without a valid session, 403 for the wrong role
+    const requireRole = (...roles) => (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+
+        next();
+    };
+
+    // Socket.IO handshake middleware - anonymous sockets are allowed (public menu
+    // updates), but a token that is sent must be valid
+    const socketMiddleware = (socket, next) => {
+        const token = socket.handshake.auth?.token || extractBearerToken(socket.handshake.headers?.authorization);
+
+        if (!token) {
+            socket.data.user = null;
+            return next();
+        }
+
+        const user = verifyToken(token);
+        if (!user) {
+            return next(new Error('Authentication failed'));
+        }
+
+        socket.data.user = user;
+        next();
+    };
+
+    return {
+        issueToken,
+        verifyToken,
+        authenticate,
+        requireRole,
+        socketMiddleware
+    };
+};
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    toPublicUser,
+    isPlatformAdmin,
+    canManageRestaurant,
+    createAuth
+};
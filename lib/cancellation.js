@@ -0,0 +1,76 @@
+const { ORDER_STATUS, canTransition } = require('./orderLifecycle');
+const { PAYMENT_STATUS } = require('./payments');
+
+// Cancellation policy - customers cancel freely until the kitchen starts
+// cooking; from then on the restaurant has to approve. Staff can cancel
+// anything the lifecycle still allows. Prepaid orders are refunded in full.
+const CANCELLATION_STATUS = {
+    REQUESTED: 'requested',
+    DECLINED: 'declined',
+    CANCELLED: 'cancelled'
+};
+
+const REFUND_STATUS = {
+    PENDING: 'pending',
+    PROCESSED: 'processed',
+    FAILED: 'failed'
+};
+
+const FREE_CANCEL_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.ACCEPTED];
+
+// -> { allowed, requiresApproval, message }
+const cancellationPolicy = (order, { byStaff = false } = {}) => {
+    if (!canTransition(order.status, ORDER_STATUS.CANCELLED, order.fulfillment)) {
+        return { allowed: false, requiresApproval: false, message: `A ${order.status} order can no longer be cancelled` };
+    }
+    if (byStaff || FREE_CANCEL_STATUSES.includes(order.status)) {
+        return { allowed: true, requiresApproval: false, message: null };
+    }
+    if (order.cancellation?.status === CANCELLATION_STATUS.REQUESTED) {
+        return { allowed: false, requiresApproval: true, message: 'Cancellation has already been requested - the restaurant will respond shortly' };
+    }
+    if (order.cancellation?.status === CANCELLATION_STATUS.DECLINED) {
+        return { allowed: false, requiresApproval: true, message: 'The restaurant has already declined to cancel this order' };
+    }
+    return { allowed: true, requiresApproval: true, message: null };
+};
+
+const hasPendingRequest = (order) => order.cancellation?.status === CANCELLATION_STATUS.REQUESTED;
+
+// The attempt that actually took the money - after a retry it need not be the
+// order's latest payment. Cancelling or rejecting has to give this one back.
+const findCapturedPayment = (payments) => payments.find(payment => payment.status === PAYMENT_STATUS.PAID) || null;
+
+// Cancellation record stored on the order. An approved request keeps who asked
+// and why; `cancelledBy` is whoever actually cancelled it.
+const buildCancellation = (order, { actor, reason, at = new Date().toISOString() }) => {
+    const request = hasPendingRequest(order) ? order.cancellation : null;
+    return {
+        status: CANCELLATION_STATUS.CANCELLED,
+        reason: request ? request.reason : reason,
+        requestedBy: request ? request.requestedBy : actor,
+        requestedAt: request ? request.requestedAt : at,
+        approvedBy: request ? actor : null,
+        cancelledBy: actor,
+        cancelledAt: at
+    };
+};
+
+// Public view of a refund kept on the order
+const toRefundSnapshot = (refund) => ({
+    id: refund.id,
+    amount: refund.amount,
+    status: refund.status,
+    createdAt: refund.createdAt,
+    processedAt: refund.processedAt || null
+});
+
+module.exports = {
+    CANCELLATION_STATUS,
+    REFUND_STATUS,
+    cancellationPolicy,
+    hasPendingRequest,
+    findCapturedPayment,
+    buildCancellation,
+    toRefundSnapshot
+};
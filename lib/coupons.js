@@ -0,0 +1,111 @@
+const { roundCurrency } = require('./pricing');
+
+const COUPON_TYPES = {
+    PERCENTAGE: 'percentage',
+    FLAT: 'flat',
+    FREE_DELIVERY: 'free_delivery'
+};
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Cross-field checks for a (merged) coupon -> [{ field, message }]
+const validateCouponSettings = (coupon) => {
+    const errors = [];
+
+    if (coupon.type === COUPON_TYPES.PERCENTAGE && !(coupon.value > 0 && coupon.value <= 100)) {
+        errors.push({ field: 'value', message: 'A percentage coupon needs a value between 1 and 100' });
+    }
+    if (coupon.type === COUPON_TYPES.FLAT && !(coupon.value > 0)) {
+        errors.push({ field: 'value', message: 'A flat coupon needs a value above 0' });
+    }
+
+    ['validFrom', 'validUntil'].forEach(field => {
+        if (coupon[field] && !isValidDate(coupon[field])) {
+            errors.push({ field, message: `${field} must be an ISO date or date-time` });
+        }
+    });
+    if (isValidDate(coupon.validFrom) && isValidDate(coupon.validUntil) &&
+        Date.parse(coupon.validUntil) <= Date.parse(coupon.validFrom)) {
+        errors.push({ field: 'validUntil', message: 'validUntil must be after validFrom' });
+    }
+
+    return errors;
+};
+
+// Does this coupon restrict which lines it applies to?
+const isRestricted = (coupon) => (coupon.categories || []).length > 0 || (coupon.itemIds || []).length > 0;
+
+// Checks a coupon against a priced cart -> { errors, discount }. `redemptions` are the
+// coupon's live (non-voided) redemptions, used for the global and per-customer limits.
+const evaluateCoupon = (coupon, pricing, { customerId, redemptions = [], findMenuItem, now = new Date() }) => {
+    const fail = (message) => ({ errors: [{ field: 'couponCode', message }], discount: null });
+
+    if (!coupon.active) return fail(`Coupon ${coupon.code} is no longer active`);
+    if (coupon.validFrom && now < new Date(coupon.validFrom)) return fail(`Coupon ${coupon.code} is not valid yet`);
+    if (coupon.validUntil && now > new Date(coupon.validUntil)) return fail(`Coupon ${coupon.code} has expired`);
+
+    if (coupon.usageLimit && redemptions.length >= coupon.usageLimit) {
+        return fail(`Coupon ${coupon.code} has been fully redeemed`);
+    }
+    const customerUses = redemptions.filter(redemption => redemption.customerId === customerId).length;
+    if (coupon.perCustomerLimit && customerUses >= coupon.perCustomerLimit) {
+        return fail(`You have already used coupon ${coupon.code}`);
+    }
+
+    if (pricing.subtotal < (coupon.minOrderValue || 0)) {
+        return fail(`Coupon ${coupon.code} needs a minimum order of ₹${coupon.minOrderValue}`);
+    }
+
+    // Restricted coupons only discount matching lines (e.g. only sweets)
+    const eligibleLines = isRestricted(coupon)
+        ? pricing.items.filter(line => {
+            const menuItem = findMenuItem(line.id);
+            return (coupon.itemIds || []).includes(line.id) ||
+                Boolean(menuItem && (coupon.categories || []).includes(menuItem.category));
+        })
+        : pricing.items;
+    const eligibleSubtotal = roundCurrency(eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    if (eligibleSubtotal <= 0) {
+        const scope = [...(coupon.categories || []), ...(coupon.itemIds || []).map(id => `item ${id}`)].join(', ');
+        return fail(`Coupon ${coupon.code} only applies to ${scope}`);
+    }
+
+    let itemDiscount = 0;
+    let deliveryDiscount = 0;
+    if (coupon.type === COUPON_TYPES.PERCENTAGE) {
+        itemDiscount = eligibleSubtotal * coupon.value / 100;
+    } else if (coupon.type === COUPON_TYPES.FLAT) {
+        itemDiscount = Math.min(coupon.value, eligibleSubtotal);
+    } else {
+        if (pricing.deliveryCharge <= 0) return fail('Delivery is already free for this order');
+        deliveryDiscount = pricing.deliveryCharge;
+    }
+
+    // The cap applies to whichever part is being discounted
+    if (coupon.maxDiscount) {
+        itemDiscount = Math.min(itemDiscount, coupon.maxDiscount);
+        deliveryDiscount = Math.min(deliveryDiscount, coupon.maxDiscount);
+    }
+
+    itemDiscount = roundCurrency(itemDiscount);
+    deliveryDiscount = roundCurrency(deliveryDiscount);
+
+    return {
+        errors: [],
+        discount: {
+            couponId: coupon.id,
+            code: coupon.code,
+            type: coupon.type,
+            itemDiscount,
+            deliveryDiscount,
+            amount: roundCurrency(itemDiscount + deliveryDiscount)
+        }
+    };
+};
+
+module.exports = {
+    COUPON_TYPES,
+    validateCouponSettings,
+    evaluateCoupon
+};
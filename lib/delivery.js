@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { isValidPoint, distanceKm } = require('./geo');
+
+const RIDER_STATUS = {
+    OFFLINE: 'offline',
+    AVAILABLE: 'available',
+    BUSY: 'busy'
+};
+
+const DELIVERY_STATUS = {
+    ASSIGNED: 'assigned',
+    PICKED_UP: 'picked_up',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled'
+};
+
+const OTP_LENGTH = 4;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Riders report their position often; only relay one update per interval
+const LOCATION_THROTTLE_MS = 5000;
+
+const generateOtp = () => String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+const isActiveDelivery = (delivery) => Boolean(delivery) &&
+    [DELIVERY_STATUS.ASSIGNED, DELIVERY_STATUS.PICKED_UP].includes(delivery.status);
+
+// Checks an OTP for one step ('pickup' or 'dropoff') -> { error, changes }.
+// Wrong guesses are counted; after MAX_OTP_ATTEMPTS the restaurant has to issue
+// a new code (or, before pickup, reassign the delivery).
+const verifyDeliveryOtp = (delivery, step, otp) => {
+    const attemptsField = `${step}Attempts`;
+    const attempts = delivery[attemptsField] || 0;
+
+    if (attempts >= MAX_OTP_ATTEMPTS) {
+        return { error: 'Too many wrong codes - ask the restaurant to issue a new code', changes: null };
+    }
+
+    const expected = Buffer.from(delivery[`${step}Otp`]);
+    const actual = Buffer.from(String(otp));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'Incorrect code', changes: { [attemptsField]: attempts + 1 } };
+    }
+
+    return { error: null, changes: { [attemptsField]: attempts } };
+};
+
+// Orders available riders for a pickup at `origin`: riders with a known position
+// nearest first, then riders without one, longest-idle first
+const rankRiders = (riders, origin) => {
+    const withDistance = riders
+        .filter(rider => rider.status === RIDER_STATUS.AVAILABLE)
+        .map(rider => ({
+            rider,
+            distanceKm: isValidPoint(origin) && isValidPoint(rider.location)
+                ? distanceKm(origin, rider.location)
+                : null
+        }));
+
+    return withDistance.sort((a, b) => {
+        if (a.distanceKm !== null && b.distanceKm !== null) return a.distanceKm - b.distanceKm;
+        if (a.distanceKm !== null) return -1;
+        if (b.distanceKm !== null) return 1;
+        return String(a.rider.availableSince).localeCompare(String(b.rider.availableSince));
+    });
+};
+
+// Per-rider throttle - returns true when an update should be relayed now
+const createLocationThrottle = (intervalMs = LOCATION_THROTTLE_MS) => {
+    const lastRelayed = new Map();
+
+    return {
+        shouldRelay: (riderId, now = Date.now()) => {
+            const last = lastRelayed.get(riderId);
+            if (last !== undefined && now - last < intervalMs) {
+                return false;
+            }
+            lastRelayed.set(riderId, now);
+            return true;
+        },
+        forget: (riderId) => lastRelayed.delete(riderId)
+    };
+};
+
+module.exports = {
+    RIDER_STATUS,
+    DELIVERY_STATUS,
+    MAX_OTP_ATTEMPTS,
+    LOCATION_THROTTLE_MS,
+    generateOtp,
+    isActiveDelivery,
+    verifyDeliveryOtp,
+    rankRiders,
+    createLocationThrottle
+};
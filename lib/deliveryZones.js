@@ -0,0 +1,125 @@
+const { isValidPoint, distanceKm } = require('./geo');
+const { PRICING_CONFIG, roundCurrency } = require('./pricing');
+
+// Per-restaurant delivery area and fees.
+//   deliveryZone: { type: 'radius', radiusKm } or { type: 'polygon', polygon: [{ lat, lng }, ...] }
+//   deliveryFees: { slabs: [{ upToKm, fee }], freeDeliveryAbove, minOrderValue }
+// Both are optional - without them any address is accepted at the flat PRICING_CONFIG fee.
+const ZONE_TYPES = {
+    RADIUS: 'radius',
+    POLYGON: 'polygon'
+};
+
+// Ray casting - lng is treated as x and lat as y, which is fine at city scale
+const isInsidePolygon = (point, polygon) => {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+            point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng;
+        if (crosses) inside = !inside;
+    }
+
+    return inside;
+};
+
+// Checks a restaurant's merged delivery settings -> [{ field, message }]
+const validateDeliverySettings = (restaurant) => {
+    const errors = [];
+    const zone = restaurant.deliveryZone;
+    const fees = restaurant.deliveryFees;
+
+    if (zone) {
+        if (zone.type === ZONE_TYPES.RADIUS && !(zone.radiusKm > 0)) {
+            errors.push({ field: 'deliveryZone.radiusKm', message: 'A radius zone needs radiusKm' });
+        }
+        if (zone.type === ZONE_TYPES.POLYGON && (!Array.isArray(zone.polygon) || zone.polygon.length < 3)) {
+            errors.push({ field: 'deliveryZone.polygon', message: 'A polygon zone needs at least 3 points' });
+        }
+    }
+
+    // Distances are measured from the restaurant, so zones and slabs need its location
+    const needsLocation = (zone && zone.type === ZONE_TYPES.RADIUS) || (fees && fees.slabs && fees.slabs.length > 0);
+    if (needsLocation && !isValidPoint(restaurant.location)) {
+        errors.push({ field: 'location', message: 'Set the restaurant location before configuring distance-based delivery' });
+    }
+
+    if (fees && Array.isArray(fees.slabs)) {
+        fees.slabs.forEach((slab, index) => {
+            if (index > 0 && slab.upToKm <= fees.slabs[index - 1].upToKm) {
+                errors.push({ field: `deliveryFees.slabs[${index}].upToKm`, message: 'Slabs must be sorted by increasing upToKm' });
+            }
+        });
+    }
+
+    return errors;
+};
+
+// Works out whether `destination` ({ lat, lng }) can be served and what delivery costs
+// for an order worth `subtotal` -> { errors, quote }. quote is null whenever errors is non-empty.
+const quoteDelivery = (restaurant, destination, subtotal, config = PRICING_CONFIG) => {
+    const errors = [];
+    const zone = restaurant.deliveryZone || null;
+    const fees = restaurant.deliveryFees || {};
+    const slabs = Array.isArray(fees.slabs) ? fees.slabs : [];
+    // null switches free delivery off for this restaurant
+    const freeDeliveryAbove = fees.freeDeliveryAbove !== undefined ? fees.freeDeliveryAbove : config.freeDeliveryAbove;
+    const minOrderValue = fees.minOrderValue || 0;
+
+    const hasDestination = isValidPoint(destination);
+    const distance = hasDestination && isValidPoint(restaurant.location)
+        ? roundCurrency(distanceKm(restaurant.location, destination))
+        : null;
+
+    if ((zone || slabs.length > 0) && !hasDestination) {
+        errors.push({ field: 'address', message: 'Pin your delivery location so we can check that we deliver there' });
+    } else if (zone) {
+        const inside = zone.type === ZONE_TYPES.POLYGON
+            ? isInsidePolygon(destination, zone.polygon)
+            : distance !== null && distance <= zone.radiusKm;
+        if (!inside) {
+            errors.push({ field: 'address', message: `${restaurant.name} does not deliver to this address` });
+        }
+    }
+
+    // Beyond the last slab is beyond delivery range, zone or not
+    let fee = config.deliveryCharge;
+    if (slabs.length > 0 && distance !== null) {
+        const slab = slabs.find(candidate => distance <= candidate.upToKm);
+        if (slab) {
+            fee = slab.fee;
+        } else if (errors.length === 0) {
+            errors.push({ field: 'address', message: `This address is ${distance} km away - ${restaurant.name} delivers up to ${slabs[slabs.length - 1].upToKm} km` });
+        }
+    }
+
+    if (subtotal < minOrderValue) {
+        errors.push({ field: 'items', message: `Minimum order value is ₹${minOrderValue} - add ₹${roundCurrency(minOrderValue - subtotal)} more` });
+    }
+
+    if (errors.length > 0) {
+        return { errors, quote: null };
+    }
+
+    const isFree = freeDeliveryAbove !== null && subtotal >= freeDeliveryAbove;
+
+    return {
+        errors,
+        quote: {
+            distanceKm: distance,
+            deliveryCharge: subtotal <= 0 || isFree ? 0 : fee,
+            freeDeliveryAbove,
+            minOrderValue,
+            zone: zone ? zone.type : null
+        }
+    };
+};
+
+module.exports = {
+    ZONE_TYPES,
+    isInsidePolygon,
+    validateDeliverySettings,
+    quoteDelivery
+};
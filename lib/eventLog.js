@@ -0,0 +1,71 @@
+// Replay buffer for socket events sent to private rooms. Every event gets the
+// next number of one server-wide sequence (so a client sees gaps for events
+// meant for others); clients remember the highest seq they have seen and send
+// it back on joinRoom so anything missed while disconnected can be replayed.
+const DEFAULT_CAPACITY = 500;
+
+// Sequence numbers are reserved in blocks, so the store is written once per
+// block rather than once per event. `onReserve(ceiling)` should persist the
+// ceiling; passing it back as `initialSequence` after a restart skips whatever
+// was left of the block - clients cope with gaps already.
+const DEFAULT_BLOCK_SIZE = 1000;
+
+const createEventLog = ({
+    capacity = DEFAULT_CAPACITY,
+    initialSequence = 0,
+    blockSize = DEFAULT_BLOCK_SIZE,
+    onReserve = () => {}
+} = {}) => {
+    let sequence = initialSequence;
+    let reserved = initialSequence;
+    const entries = [];
+
+    // Stamps the payload with its seq and keeps it for replay -> the entry
+    const record = (rooms, event, payload) => {
+        sequence += 1;
+        if (sequence > reserved) {
+            reserved = sequence + blockSize - 1;
+            onReserve(reserved);
+        }
+
+        const entry = {
+            seq: sequence,
+            rooms: [].concat(rooms),
+            event,
+            payload: { ...payload, seq: sequence },
+            at: new Date().toISOString()
+        };
+
+        entries.push(entry);
+        if (entries.length > capacity) entries.shift();
+
+        return entry;
+    };
+
+    // Events after lastSeq for any of the given rooms -> { complete, events }.
+    // Not complete when older events were already dropped from the buffer or the
+    // client is ahead of the server (data was reset) - it needs a snapshot instead.
+    const since = (lastSeq, rooms) => {
+        const oldest = entries.length > 0 ? entries[0].seq : sequence + 1;
+        if (lastSeq > sequence || lastSeq < oldest - 1) {
+            return { complete: false, events: [] };
+        }
+
+        return {
+            complete: true,
+            events: entries.filter(entry => entry.seq > lastSeq && entry.rooms.some(room => rooms.includes(room)))
+        };
+    };
+
+    return {
+        record,
+        since,
+        currentSequence: () => sequence
+    };
+};
+
+module.exports = {
+    DEFAULT_CAPACITY,
+    DEFAULT_BLOCK_SIZE,
+    createEventLog
+};
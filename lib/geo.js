@@ -0,0 +1,23 @@
+// Small geo helpers - coordinates are { lat, lng } in decimal degrees
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidPoint = (point) => Boolean(point) &&
+    Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+    Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+
+// Great-circle distance in kilometres (haversine)
+const distanceKm = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+    isValidPoint,
+    distanceKm
+};
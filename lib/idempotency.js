@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Retry protection for writes. A request carrying an Idempotency-Key has its
+// first response stored and replayed to retries of the same request, so a flaky
+// connection can't place an order twice. Keys belong to the user sending them;
+// reusing one for a different body is refused.
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+const PROCESSING_TIMEOUT_MS = 60 * 1000; // a request that never answered (e.g. a crash) frees its key
+const DEFAULT_DUPLICATE_WINDOW_SECONDS = 120; // same cart again within this is treated as a duplicate
+
+const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+
+// createIdempotency({ repo }) -> { middleware(scope), prune() }
+// `scope` names the operation so a key can't replay another endpoint's response.
+const createIdempotency = ({ repo, ttlMs = DEFAULT_TTL_HOURS * 60 * 60 * 1000 }) => {
+    const isExpired = (record, now) => new Date(record.expiresAt).getTime() <= now ||
+        (!record.response && now - new Date(record.createdAt).getTime() > PROCESSING_TIMEOUT_MS);
+
+    const prune = (now = Date.now()) => {
+        repo.filter(record => isExpired(record, now)).forEach(record => repo.remove(record.id));
+    };
+
+    const middleware = (scope) => (req, res, next) => {
+        const key = req.get(IDEMPOTENCY_HEADER);
+        if (key === undefined) return next();
+
+        if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`
+            });
+        }
+
+        // Hashed so any client-chosen key is safe to use as a record id
+        const userId = req.user ? req.user.id : null;
+        const id = `idem_${fingerprint([scope, userId, key])}`;
+        const requestHash = fingerprint(req.body);
+        const now = Date.now();
+
+        const existing = repo.findById(id);
+        if (existing && !isExpired(existing, now)) {
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    message: `This ${IDEMPOTENCY_HEADER} was already used for a different request`
+                });
+            }
+            if (!existing.response) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The original request is still being processed - retry shortly'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response.statusCode).json(existing.response.body);
+        }
+        if (existing) {
+            repo.remove(id);
+        }
+
+        repo.insert({
+            id,
+            scope,
+            userId,
+            key,
+            requestHash,
+            response: null,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString()
+        });
+
+        // Remember whatever the handler answers. Server errors are worth
+        // retrying, so they release the key instead of pinning it.
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 500) {
+                repo.remove(id);
+            } else if (repo.findById(id)) {
+                repo.update(id, {
+                    response: { statusCode: res.statusCode, body: JSON.parse(JSON.stringify(body)) },
+                    completedAt: new Date().toISOString()
+                });
+            }
+            return json(body);
+        };
+
+        next();
+    };
+
+    return { middleware, prune };
+};
+
+// Identity of a cart regardless of line order - used to spot the same order
+// being placed twice in quick succession
+const cartFingerprint = ({ restaurantId, fulfillment, scheduledFor, items }) => fingerprint({
+    restaurantId,
+    fulfillment,
+    scheduledFor: scheduledFor || null,
+    items: items
+        .map(line => ({
+            id: line.id,
+            quantity: line.quantity,
+            options: (line.options || []).map(option => `${option.groupId}:${option.optionId}`).sort()
+        }))
+        .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)))
+});
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    DEFAULT_DUPLICATE_WINDOW_SECONDS,
+    createIdempotency,
+    cartFingerprint
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+// Per-item stock tracking. Items with `stock: null` are untracked (made to order).
+// Every change is written to the inventory log so staff can audit it later.
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+const STOCK_REASON = {
+    ORDER: 'order',
+    CANCELLATION: 'cancellation',
+    RESTOCK: 'restock',
+    CORRECTION: 'correction'
+};
+
+const isTracked = (item) => typeof item.stock === 'number';
+
+const isLowStock = (item) => isTracked(item) &&
+    item.stock > 0 && item.stock <= (item.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD);
+
+// Units needed per menu item across all lines (the same item can appear
+// on several lines with different modifiers)
+const sumQuantities = (lines) => lines.reduce((totals, line) => {
+    totals.set(line.id, (totals.get(line.id) || 0) + line.quantity);
+    return totals;
+}, new Map());
+
+const createInventory = ({ menuRepo, inventoryLogRepo }) => {
+    const writeLog = (item, stockBefore, stockAfter, reason, { orderId = null, actor = null, note = null } = {}) => {
+        inventoryLogRepo.insert({
+            id: `inv_${crypto.randomBytes(6).toString('hex')}`,
+            restaurantId: item.restaurantId,
+            itemId: item.id,
+            itemName: item.name,
+            change: (stockAfter ?? 0) - (stockBefore ?? 0),
+            stockBefore,
+            stockAfter,
+            reason,
+            orderId,
+            actor,
+            note,
+            at: new Date().toISOString()
+        });
+    };
+
+    // Applies a new stock level, switching availability when an item sells out or
+    // comes back. Only items we switched off ourselves are switched back on.
+    const setStock = (item, stock) => {
+        const changes = { stock, updatedAt: new Date().toISOString() };
+
+        if (stock === 0 && item.available) {
+            changes.available = false;
+            changes.soldOut = true;
+        } else if (stock !== 0 && item.soldOut) {
+            changes.available = true;
+            changes.soldOut = false;
+        }
+
+        return menuRepo.update(item.id, changes);
+    };
+
+    // -> [{ field, message }] for lines asking for more than is in stock
+    const checkStock = (lines) => {
+        const errors = [];
+
+        sumQuantities(lines).forEach((quantity, itemId) => {
+            const item = menuRepo.findById(itemId);
+            if (item && isTracked(item) && item.stock < quantity) {
+                errors.push({
+                    field: 'items',
+                    message: item.stock === 0
+                        ? `${item.name} is sold out`
+                        : `Only ${item.stock} ${item.name} left`
+                });
+            }
+        });
+
+        return errors;
+    };
+
+    // Decrements stock for an order. Synchronous, so no other request can run
+    // between the check and the decrement. Returns { errors, items }.
+    const reserveForOrder = (orderId, lines, actor) => {
+        const errors = checkStock(lines);
+        if (errors.length > 0) {
+            return { errors, items: [] };
+        }
+
+        const items = [];
+        sumQuantities(lines).forEach((quantity, itemId) => {
+            const item = menuRepo.findById(itemId);
+            if (!item || !isTracked(item)) return;
+
+            const updated = setStock(item, item.stock - quantity);
+            writeLog(item, item.stock, updated.stock, STOCK_REASON.ORDER, { orderId, actor });
+            items.push(updated);
+        });
+
+        return { errors, items };
+    };
+
+    // Puts an order's units back on the shelf (cancellations, failed checkouts)
+    const releaseForOrder = (orderId, lines, actor, note = null) => {
+        const items = [];
+
+        sumQuantities(lines).forEach((quantity, itemId) => {
+            const item = menuRepo.findById(itemId);
+            if (!item || !isTracked(item)) return;
+
+            const updated = setStock(item, item.stock + quantity);
+            writeLog(item, item.stock, updated.stock, STOCK_REASON.CANCELLATION, { orderId, actor, note });
+            items.push(updated);
+        });
+
+        return items;
+    };
+
+    // Staff restock: `quantity` adds units, `stock` sets an absolute count
+    // (stock: null stops tracking the item)
+    const restock = (item, { quantity, stock, note }, actor) => {
+        let nextStock;
+        let reason;
+
+        if (quantity !== undefined) {
+            nextStock = (isTracked(item) ? item.stock : 0) + quantity;
+            reason = STOCK_REASON.RESTOCK;
+        } else {
+            nextStock = stock;
+            reason = STOCK_REASON.CORRECTION;
+        }
+
+        const updated = nextStock === null
+            ? menuRepo.update(item.id, {
+                stock: null,
+                available: item.soldOut ? true : item.available,
+                soldOut: false,
+                updatedAt: new Date().toISOString()
+            })
+            : setStock(item, nextStock);
+
+        writeLog(item, isTracked(item) ? item.stock : null, nextStock, reason, { actor, note });
+        return updated;
+    };
+
+    return {
+        checkStock,
+        reserveForOrder,
+        releaseForOrder,
+        restock
+    };
+};
+
+module.exports = {
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    STOCK_REASON,
+    isTracked,
+    isLowStock,
+    createInventory
+};
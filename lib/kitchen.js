@@ -0,0 +1,137 @@
+const { ORDER_STATUS, FULFILLMENT } = require('./orderLifecycle');
+
+// Kitchen queue model - open orders share `parallelCapacity` cooking slots in
+// the order they arrived, which gives every order a ready time that reflects
+// the current load. Also builds the station-grouped kitchen display feed.
+const DEFAULT_PARALLEL_CAPACITY = 2;
+const HANDOFF_MINUTES = 15; // packing and delivery on top of cooking
+const MIN_COOK_MINUTES = 5;
+const MIN_REMAINING_MINUTES = 2; // an order running late is always "a few more minutes"
+const DEFAULT_STATION = 'kitchen';
+
+const QUEUE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.ACCEPTED, ORDER_STATUS.PREPARING];
+
+const MINUTE = 60 * 1000;
+
+const isQueued = (order) => Boolean(order.releasedAt) && QUEUE_STATUSES.includes(order.status);
+
+const getParallelCapacity = (restaurant) => restaurant?.kitchen?.parallelCapacity || DEFAULT_PARALLEL_CAPACITY;
+
+// Lines of one order are partly cooked side by side, hence the halving
+const cookMinutes = (lines, prepTimeOf) => Math.max(
+    MIN_COOK_MINUTES,
+    Math.ceil(lines.reduce((total, line) => total + prepTimeOf(line) * line.quantity, 0) / 2)
+);
+
+// When cooking started - the latest move into preparing
+const preparingSince = (order) => {
+    const entry = [...(order.statusHistory || [])].reverse().find(change => change.to === ORDER_STATUS.PREPARING);
+    return entry ? new Date(entry.at).getTime() : null;
+};
+
+// Orders already on the stove keep their slot; the rest wait in arrival order
+const queueOrder = (a, b) => {
+    const aStarted = a.status === ORDER_STATUS.PREPARING;
+    const bStarted = b.status === ORDER_STATUS.PREPARING;
+    if (aStarted !== bStarted) return aStarted ? -1 : 1;
+    if (aStarted) return (preparingSince(a) || 0) - (preparingSince(b) || 0);
+    return String(a.releasedAt).localeCompare(String(b.releasedAt));
+};
+
+// Simulates the queue -> [{ orderId, position, status, cookMinutes, startsAt, readyAt }]
+const planKitchenQueue = (orders, { capacity = DEFAULT_PARALLEL_CAPACITY, prepTimeOf, now = new Date() }) => {
+    const nowMs = now.getTime();
+    const slots = new Array(Math.max(1, capacity)).fill(nowMs);
+
+    return orders.filter(isQueued).sort(queueOrder).map((order, index) => {
+        const minutes = cookMinutes(order.items, prepTimeOf);
+        const slot = slots.indexOf(Math.min(...slots));
+
+        let startsAt = slots[slot];
+        let readyAt = startsAt + minutes * MINUTE;
+        if (order.status === ORDER_STATUS.PREPARING) {
+            startsAt = preparingSince(order) || nowMs;
+            readyAt = Math.max(startsAt + minutes * MINUTE, nowMs + MIN_REMAINING_MINUTES * MINUTE);
+        }
+        slots[slot] = readyAt;
+
+        return {
+            orderId: order.id,
+            position: index + 1,
+            status: order.status,
+            cookMinutes: minutes,
+            startsAt: new Date(startsAt).toISOString(),
+            readyAt: new Date(readyAt).toISOString()
+        };
+    });
+};
+
+// Minutes between the food being ready and the customer having it
+const handoffMinutes = (order) => (order.fulfillment === FULFILLMENT.PICKUP ? 0 : HANDOFF_MINUTES);
+
+// Customer-facing ETA for a planned order -> { readyAt, deliveryAt, position }
+// plus estimatedTime in minutes since the order was placed
+const toEta = (order, entry) => {
+    const deliveryAt = new Date(new Date(entry.readyAt).getTime() + handoffMinutes(order) * MINUTE);
+    return {
+        eta: {
+            position: entry.position,
+            readyAt: entry.readyAt,
+            deliveryAt: deliveryAt.toISOString()
+        },
+        estimatedTime: Math.max(MIN_COOK_MINUTES, Math.ceil((deliveryAt - new Date(order.createdAt)) / MINUTE))
+    };
+};
+
+// The promised ready time has passed and the food isn't ready yet
+const isRunningLate = (order, now = new Date()) => Boolean(order.eta?.readyAt) &&
+    isQueued(order) && new Date(order.eta.readyAt) < now;
+
+// Kitchen display - every queued line grouped by the station that cooks it
+const buildKitchenDisplay = (orders, plan, { stationOf, capacity, now = new Date() }) => {
+    const planned = new Map(plan.map(entry => [entry.orderId, entry]));
+    const stations = new Map();
+
+    orders.filter(order => planned.has(order.id)).forEach(order => {
+        const entry = planned.get(order.id);
+        order.items.forEach(line => {
+            const station = stationOf(line) || DEFAULT_STATION;
+            if (!stations.has(station)) stations.set(station, []);
+            stations.get(station).push({
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                position: entry.position,
+                status: order.status,
+                itemId: line.id,
+                name: line.name,
+                quantity: line.quantity,
+                options: line.options || [],
+                readyAt: entry.readyAt,
+                late: Boolean(order.lateSince) || isRunningLate(order, now)
+            });
+        });
+    });
+
+    return {
+        capacity,
+        queueLength: plan.length,
+        stations: Array.from(stations.entries())
+            .map(([station, tickets]) => ({ station, tickets: tickets.sort((a, b) => a.position - b.position) }))
+            .sort((a, b) => a.station.localeCompare(b.station)),
+        generatedAt: now.toISOString()
+    };
+};
+
+module.exports = {
+    DEFAULT_PARALLEL_CAPACITY,
+    HANDOFF_MINUTES,
+    DEFAULT_STATION,
+    isQueued,
+    getParallelCapacity,
+    cookMinutes,
+    handoffMinutes,
+    planKitchenQueue,
+    toEta,
+    isRunningLate,
+    buildKitchenDisplay
+};
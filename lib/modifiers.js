@@ -0,0 +1,100 @@
+// Menu modifiers - option groups such as "Pack size" or "Extras" on a menu item.
+//
+//   optionGroups: [{ id, name, required, minSelections, maxSelections,
+//                    options: [{ id, name, priceDelta, preparationTimeDelta, available }] }]
+//
+// Order lines pick options with [{ groupId, optionId }].
+
+// Cross-field rules the schema can't express -> [{ field, message }]
+const validateOptionGroups = (groups = []) => {
+    const errors = [];
+    const groupIds = new Set();
+
+    groups.forEach((group, groupIndex) => {
+        const field = `optionGroups[${groupIndex}]`;
+
+        if (groupIds.has(group.id)) {
+            errors.push({ field: `${field}.id`, message: `Duplicate option group id: ${group.id}` });
+        }
+        groupIds.add(group.id);
+
+        const optionIds = new Set();
+        group.options.forEach((option, optionIndex) => {
+            if (optionIds.has(option.id)) {
+                errors.push({ field: `${field}.options[${optionIndex}].id`, message: `Duplicate option id: ${option.id}` });
+            }
+            optionIds.add(option.id);
+        });
+
+        if (group.required && group.minSelections < 1) {
+            errors.push({ field: `${field}.minSelections`, message: 'Required groups need minSelections of at least 1' });
+        }
+        if (group.minSelections > group.maxSelections) {
+            errors.push({ field: `${field}.minSelections`, message: 'minSelections cannot exceed maxSelections' });
+        }
+        if (group.maxSelections > group.options.length) {
+            errors.push({ field: `${field}.maxSelections`, message: 'maxSelections cannot exceed the number of options' });
+        }
+    });
+
+    return errors;
+};
+
+// Resolves a line's selections against the menu item's groups.
+// Returns { errors: [message], options, priceDelta, preparationTimeDelta }.
+const resolveSelections = (menuItem, selections = []) => {
+    const errors = [];
+    const groups = menuItem.optionGroups || [];
+    const options = [];
+
+    selections.forEach(selection => {
+        const group = groups.find(candidate => candidate.id === selection.groupId);
+        const option = group && group.options.find(candidate => candidate.id === selection.optionId);
+
+        if (!group) {
+            errors.push(`${menuItem.name} has no option group "${selection.groupId}"`);
+        } else if (!option) {
+            errors.push(`${group.name} has no option "${selection.optionId}"`);
+        } else if (option.available === false) {
+            errors.push(`${group.name}: ${option.name} is currently unavailable`);
+        } else if (options.some(chosen => chosen.groupId === group.id && chosen.optionId === option.id)) {
+            errors.push(`${group.name}: ${option.name} was selected more than once`);
+        } else {
+            options.push({
+                groupId: group.id,
+                groupName: group.name,
+                optionId: option.id,
+                name: option.name,
+                priceDelta: option.priceDelta || 0,
+                preparationTimeDelta: option.preparationTimeDelta || 0
+            });
+        }
+    });
+
+    groups.forEach(group => {
+        const count = options.filter(option => option.groupId === group.id).length;
+        const minSelections = group.required ? Math.max(group.minSelections || 0, 1) : (group.minSelections || 0);
+        const maxSelections = group.maxSelections || 1;
+
+        if (count < minSelections) {
+            errors.push(minSelections === 1
+                ? `Choose an option for ${group.name}`
+                : `Choose at least ${minSelections} options for ${group.name}`);
+        }
+        if (count > maxSelections) {
+            errors.push(`Choose at most ${maxSelections} option${maxSelections === 1 ? '' : 's'} for ${group.name}`);
+        }
+    });
+
+    return {
+        errors,
+        options,
+        priceDelta: options.reduce((sum, option) => sum + option.priceDelta, 0),
+        preparationTimeDelta: options.reduce((sum, option) => sum + option.preparationTimeDelta, 0)
+    };
+};
+
+module.exports = {
+    validateOptionGroups,
+    resolveSelections
+};
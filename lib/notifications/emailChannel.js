@@ -0,0 +1,18 @@
+const createStubTransport = require('./stubTransport');
+
+// Email channel - `transport.deliver({ to, subject, text })` is the provider adapter.
+// A stub transport only ever gets the public body.
+const createEmailChannel = ({ transport = createStubTransport('email') } = {}) => ({
+    name: 'email',
+    transport,
+
+    canDeliver: (recipient) => Boolean(recipient.email),
+
+    send: (recipient, notification) => transport.deliver({
+        to: recipient.email,
+        subject: notification.title,
+        text: transport.stub ? notification.publicBody : notification.body
+    })
+});
+
+module.exports = createEmailChannel;
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const createSocketChannel = require('./socketChannel');
+const createWebPushChannel = require('./webPushChannel');
+const createSmsChannel = require('./smsChannel');
+const createEmailChannel = require('./emailChannel');
+const { NOTIFICATION_EVENTS, renderNotification } = require('./templates');
+
+// Channel adapter interface:
+//   name
+//   canDeliver(recipient) -> boolean (e.g. has a phone number / push subscription)
+//   send(recipient, notification) -> Promise<{ status, ... }>
+//
+// A recipient is { type, id, room, phone, email, pushSubscriptions }.
+const channelFactories = {
+    socket: createSocketChannel,
+    push: createWebPushChannel,
+    sms: createSmsChannel,
+    email: createEmailChannel
+};
+
+const RECIPIENT_TYPES = ['customer', 'restaurant', 'rider'];
+
+const MAX_PAGE_SIZE = 100;
+
+// Inbox history kept per recipient - older notifications are pruned
+const DEFAULT_NOTIFICATION_RETENTION_DAYS = 30;
+
+const createChannel = (name, options = {}) => {
+    const factory = channelFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown notification channel: ${name}`);
+    }
+    return factory(options);
+};
+
+const isForRecipient = (notification, recipient) =>
+    notification.recipientType === recipient.type && notification.recipientId === recipient.id;
+
+// Every notification is stored first, so the inbox is complete even when no
+// channel reaches the recipient; delivery then runs in the background.
+// `resolveRecipient(type, id)` supplies contact details at send time.
+const createNotifier = ({ repo, channels, resolveRecipient, retentionMs = DEFAULT_NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000 }) => {
+    const deliver = async (recipient, notification, channelNames) => {
+        const deliveries = {};
+
+        await Promise.all(channelNames.map(async (name) => {
+            const channel = channels[name];
+            if (!channel || !channel.canDeliver(recipient)) {
+                deliveries[name] = { status: 'skipped' };
+                return;
+            }
+
+            try {
+                const result = await channel.send(recipient, notification);
+                deliveries[name] = { status: result.status, at: new Date().toISOString() };
+            } catch (error) {
+                console.error(`❌ ${name} notification ${notification.id} failed:`, error.message);
+                deliveries[name] = { status: 'failed', error: error.message, at: new Date().toISOString() };
+            }
+        }));
+
+        return repo.update(notification.id, { deliveries });
+    };
+
+    // Records the event for one recipient and fans it out -> the stored notification
+    const notify = (recipientType, recipientId, event, data = {}) => {
+        if (!recipientId) return null;
+
+        const { title, body, publicBody, channels: channelNames } = renderNotification(event, data);
+        const notification = repo.insert({
+            id: `ntf_${crypto.randomBytes(8).toString('hex')}`,
+            recipientType,
+            recipientId,
+            event,
+            title,
+            body,
+            data,
+            deliveries: {},
+            readAt: null,
+            createdAt: new Date().toISOString()
+        });
+
+        const recipient = resolveRecipient(recipientType, recipientId);
+        deliver(recipient, { ...notification, publicBody }, channelNames).catch(error => {
+            console.error(`❌ Notification ${notification.id} delivery failed:`, error.message);
+        });
+
+        return notification;
+    };
+
+    const unreadCount = (recipient) => repo.count(notification =>
+        isForRecipient(notification, recipient) && !notification.readAt
+    );
+
+    // Newest first; `before` is a createdAt cursor for paging back through older ones
+    const list = (recipient, { unreadOnly = false, before = null, limit = 20 } = {}) => {
+        const notifications = repo.filter(notification =>
+            isForRecipient(notification, recipient) &&
+            (!unreadOnly || !notification.readAt) &&
+            (!before || notification.createdAt < before)
+        )
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, Math.min(limit, MAX_PAGE_SIZE));
+
+        return { notifications, unreadCount: unreadCount(recipient) };
+    };
+
+    const markRead = (recipient, notificationId) => {
+        const notification = repo.findById(notificationId);
+        if (!notification || !isForRecipient(notification, recipient)) {
+            return null;
+        }
+        return notification.readAt ? notification : repo.update(notification.id, { readAt: new Date().toISOString() });
+    };
+
+    const markAllRead = (recipient) => {
+        const readAt = new Date().toISOString();
+        const unread = repo.filter(notification => isForRecipient(notification, recipient) && !notification.readAt);
+        unread.forEach(notification => repo.update(notification.id, { readAt }));
+        return unread.length;
+    };
+
+    // Drops notifications past the retention period, read or not -> how many went
+    const prune = (now = Date.now()) => {
+        const expired = repo.filter(notification => now - new Date(notification.createdAt).getTime() > retentionMs);
+        expired.forEach(notification => repo.remove(notification.id));
+        return expired.length;
+    };
+
+    return {
+        notify,
+        list,
+        unreadCount,
+        markRead,
+        markAllRead,
+        prune
+    };
+};
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    RECIPIENT_TYPES,
+    DEFAULT_NOTIFICATION_RETENTION_DAYS,
+    createChannel,
+    createNotifier
+};
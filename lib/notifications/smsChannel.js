@@ -0,0 +1,17 @@
+const createStubTransport = require('./stubTransport');
+
+// SMS channel - `transport.deliver({ to, text })` is the provider adapter.
+// A stub transport only ever gets the public body.
+const createSmsChannel = ({ transport = createStubTransport('sms') } = {}) => ({
+    name: 'sms',
+    transport,
+
+    canDeliver: (recipient) => Boolean(recipient.phone),
+
+    send: (recipient, notification) => transport.deliver({
+        to: recipient.phone,
+        text: `${notification.title}: ${transport.stub ? notification.publicBody : notification.body}`
+    })
+});
+
+module.exports = createSmsChannel;
@@ -0,0 +1,14 @@
+// Socket.IO channel - pushes the notification to the recipient's private room.
+// Offline recipients pick it up later from GET /api/notifications.
+const createSocketChannel = ({ io }) => ({
+    name: 'socket',
+
+    canDeliver: (recipient) => Boolean(recipient.room),
+
+    send: async (recipient, notification) => {
+        io.to(recipient.room).emit('notification', notification);
+        return { status: 'sent' };
+    }
+});
+
+module.exports = createSocketChannel;
@@ -0,0 +1,26 @@
+// Local stand-in for SMS, email and push providers - keeps the most recent
+// messages in memory so they can be inspected during development. Nothing is
+// actually sent, so results say `stubbed`, and the log never carries the
+// recipient or the text. Channels hand stubs a notification's publicBody,
+// which leaves out secrets such as drop-off codes.
+const MAX_OUTBOX = 100;
+
+const createStubTransport = (label) => {
+    const outbox = [];
+
+    return {
+        name: `${label}-stub`,
+        stub: true,
+        outbox,
+
+        deliver: async (message) => {
+            outbox.push({ ...message, at: new Date().toISOString() });
+            if (outbox.length > MAX_OUTBOX) outbox.shift();
+
+            console.log(`📨 [${label} stub] message not sent - no ${label} provider configured`);
+            return { status: 'stubbed', provider: `${label}-stub` };
+        }
+    };
+};
+
+module.exports = createStubTransport;
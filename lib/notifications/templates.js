@@ -0,0 +1,153 @@
+// What each notification event says and which channels carry it.
+// `channels` may be a function of the event data for status-dependent routing.
+// A body carrying a secret (e.g. a drop-off code) has a `publicBody` without it,
+// used wherever the text may end up somewhere other than the recipient.
+const NOTIFICATION_EVENTS = {
+    ORDER_PLACED: 'order_placed',
+    ORDER_UNACKNOWLEDGED: 'order_unacknowledged',
+    ORDER_CONFIRMED: 'order_confirmed',
+    ORDER_STATUS: 'order_status',
+    ORDER_DELAYED: 'order_delayed',
+    ORDER_CANCELLED: 'order_cancelled',
+    CANCELLATION_REQUESTED: 'cancellation_requested',
+    CANCELLATION_DECLINED: 'cancellation_declined',
+    PAYMENT_STATUS: 'payment_status',
+    RIDER_ASSIGNED: 'rider_assigned',
+    DELIVERY_ASSIGNED: 'delivery_assigned',
+    DELIVERY_CANCELLED: 'delivery_cancelled',
+    NEW_REVIEW: 'new_review',
+    REVIEW_REPLY: 'review_reply'
+};
+
+const orderLabel = (data) => `Order #${data.orderNumber || data.orderId}`;
+const withReason = (text, reason) => (reason ? `${text}: ${reason}` : text);
+
+// e.g. "07:45 pm" in the restaurant's timezone
+const clockTime = (date, timezone) => new Date(date).toLocaleTimeString('en-IN', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: timezone
+});
+
+const STATUS_MESSAGES = {
+    accepted: () => 'The restaurant accepted your order',
+    preparing: () => 'Your order is being prepared',
+    ready: () => 'Your order is ready',
+    out_for_delivery: () => 'Your order is on the way',
+    delivered: () => 'Your order was delivered. Enjoy your meal!',
+    cancelled: (data) => withReason('Your order was cancelled', data.reason),
+    rejected: (data) => withReason('The restaurant could not accept your order', data.reason)
+};
+
+// Statuses important enough to reach customers who are not in the app
+const SMS_STATUSES = ['out_for_delivery', 'delivered', 'cancelled', 'rejected'];
+const EMAIL_STATUSES = ['delivered', 'cancelled', 'rejected'];
+
+const PAYMENT_MESSAGES = {
+    authorized: () => 'Your payment was authorised',
+    paid: () => 'Your payment was received',
+    failed: (data) => withReason('Your payment failed', data.reason),
+    refunded: () => 'Your payment was refunded'
+};
+
+const TEMPLATES = {
+    [NOTIFICATION_EVENTS.ORDER_PLACED]: {
+        title: (data) => `New order #${data.orderNumber || data.orderId}`,
+        body: (data) => `${data.itemCount} item(s) for ₹${data.total} from ${data.customerName || 'a customer'}`,
+        channels: ['socket', 'push']
+    },
+    [NOTIFICATION_EVENTS.ORDER_UNACKNOWLEDGED]: {
+        title: (data) => `${orderLabel(data)} needs attention`,
+        body: (data) => `A new order has been waiting ${data.waitingMinutes} minute(s) without anyone acknowledging it`,
+        channels: ['socket', 'push', 'sms']
+    },
+    [NOTIFICATION_EVENTS.ORDER_CONFIRMED]: {
+        title: (data) => `${orderLabel(data)} confirmed`,
+        body: (data) => (data.estimatedTime
+            ? `We have your order. Estimated time: ${data.estimatedTime} minutes`
+            : 'We have your order'),
+        channels: ['socket', 'push', 'sms', 'email']
+    },
+    [NOTIFICATION_EVENTS.ORDER_STATUS]: {
+        title: (data) => `${orderLabel(data)} update`,
+        body: (data) => (STATUS_MESSAGES[data.status] || (() => `Your order is now ${data.status}`))(data),
+        channels: (data) => [
+            'socket',
+            'push',
+            ...(SMS_STATUSES.includes(data.status) ? ['sms'] : []),
+            ...(EMAIL_STATUSES.includes(data.status) ? ['email'] : [])
+        ]
+    },
+    [NOTIFICATION_EVENTS.ORDER_DELAYED]: {
+        title: (data) => `${orderLabel(data)} is running late`,
+        body: (data) => `The kitchen is busier than expected - your order should now arrive by ${clockTime(data.deliveryAt, data.timezone)}`,
+        channels: ['socket', 'push']
+    },
+    [NOTIFICATION_EVENTS.ORDER_CANCELLED]: {
+        title: (data) => `${orderLabel(data)} cancelled by the customer`,
+        body: (data) => withReason('Stop work on this order', data.reason),
+        channels: ['socket', 'push']
+    },
+    [NOTIFICATION_EVENTS.CANCELLATION_REQUESTED]: {
+        title: (data) => `${orderLabel(data)}: cancellation requested`,
+        body: (data) => withReason('The customer wants to cancel an order already in the kitchen', data.reason),
+        channels: ['socket', 'push', 'sms']
+    },
+    [NOTIFICATION_EVENTS.CANCELLATION_DECLINED]: {
+        title: (data) => `${orderLabel(data)} will go ahead`,
+        body: (data) => withReason('The restaurant could not cancel your order', data.reason),
+        channels: ['socket', 'push', 'email']
+    },
+    [NOTIFICATION_EVENTS.PAYMENT_STATUS]: {
+        title: (data) => `${orderLabel(data)} payment`,
+        body: (data) => (PAYMENT_MESSAGES[data.paymentStatus] || (() => `Payment is now ${data.paymentStatus}`))(data),
+        channels: (data) => ['socket', 'push', ...(['failed', 'refunded'].includes(data.paymentStatus) ? ['email'] : [])]
+    },
+    [NOTIFICATION_EVENTS.RIDER_ASSIGNED]: {
+        title: (data) => `${orderLabel(data)}: rider assigned`,
+        body: (data) => `${data.riderName} will deliver your order. Share code ${data.dropoffOtp} at the door`,
+        publicBody: (data) => `${data.riderName} will deliver your order. Your drop-off code is in the app`,
+        channels: ['socket', 'push', 'sms']
+    },
+    [NOTIFICATION_EVENTS.DELIVERY_ASSIGNED]: {
+        title: (data) => `New delivery: ${orderLabel(data)}`,
+        body: (data) => `Pick up from ${data.restaurantName}${data.collectCash ? ` and collect ₹${data.collectCash} cash` : ''}`,
+        channels: ['socket', 'push', 'sms']
+    },
+    [NOTIFICATION_EVENTS.DELIVERY_CANCELLED]: {
+        title: (data) => `${orderLabel(data)} delivery cancelled`,
+        body: (data) => withReason('This delivery is no longer needed', data.reason),
+        channels: ['socket', 'push', 'sms']
+    },
+    [NOTIFICATION_EVENTS.NEW_REVIEW]: {
+        title: (data) => `New ${data.rating}★ review`,
+        body: (data) => `${data.customerName || 'A customer'} reviewed ${orderLabel(data).toLowerCase()}`,
+        channels: ['socket', 'push']
+    },
+    [NOTIFICATION_EVENTS.REVIEW_REPLY]: {
+        title: () => 'The restaurant replied to your review',
+        body: (data) => data.reply,
+        channels: ['socket', 'push', 'email']
+    }
+};
+
+// Renders an event -> { title, body, publicBody, channels }
+const renderNotification = (event, data) => {
+    const template = TEMPLATES[event];
+    if (!template) {
+        throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const body = template.body(data);
+    return {
+        title: template.title(data),
+        body,
+        publicBody: template.publicBody ? template.publicBody(data) : body,
+        channels: typeof template.channels === 'function' ? template.channels(data) : template.channels
+    };
+};
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    renderNotification
+};
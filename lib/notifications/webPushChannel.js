@@ -0,0 +1,72 @@
+const createStubTransport = require('./stubTransport');
+
+// Web Push to the PWA's service worker. Uses the optional `web-push` package with
+// VAPID keys; without either, messages go to a local stub transport instead.
+const loadWebPush = ({ publicKey, privateKey, subject }) => {
+    if (!publicKey || !privateKey) return null;
+
+    try {
+        const webPush = require('web-push');
+        webPush.setVapidDetails(subject, publicKey, privateKey);
+        return webPush;
+    } catch (error) {
+        console.warn('⚠️ web-push is not installed - push notifications use the stub transport');
+        return null;
+    }
+};
+
+const createWebPushChannel = ({
+    publicKey,
+    privateKey,
+    subject = 'mailto:dev@zaikajunction.com',
+    onExpired = () => {}
+} = {}) => {
+    const webPush = loadWebPush({ publicKey, privateKey, subject });
+    const stub = createStubTransport('push');
+
+    const deliver = async (subscription, payload) => {
+        try {
+            await webPush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+            return { status: 'sent' };
+        } catch (error) {
+            // The browser unsubscribed - forget the subscription
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                onExpired(subscription);
+                return { status: 'expired' };
+            }
+            throw error;
+        }
+    };
+
+    return {
+        name: 'push',
+        publicKey: publicKey || null,
+        transport: webPush ? null : stub,
+
+        canDeliver: (recipient) => (recipient.pushSubscriptions || []).length > 0,
+
+        send: async (recipient, notification) => {
+            // The stub gets neither the full body nor the event data (which may
+            // hold a drop-off code)
+            if (!webPush) {
+                const payload = JSON.stringify({ title: notification.title, body: notification.publicBody });
+                await Promise.all(recipient.pushSubscriptions.map(subscription =>
+                    stub.deliver({ to: subscription.endpoint, text: payload })
+                ));
+                return { status: 'stubbed', devices: 0 };
+            }
+
+            const payload = JSON.stringify({
+                title: notification.title,
+                body: notification.body,
+                data: { id: notification.id, event: notification.event, ...notification.data }
+            });
+
+            const results = await Promise.all(recipient.pushSubscriptions.map(subscription => deliver(subscription, payload)));
+            const sent = results.filter(result => result.status === 'sent').length;
+            return { status: sent > 0 ? 'sent' : 'expired', devices: sent };
+        }
+    };
+};
+
+module.exports = createWebPushChannel;
@@ -0,0 +1,248 @@
+// Restaurant opening hours - weekly schedules, holiday closures and manual
+// busy/paused mode, all evaluated in the restaurant's own timezone.
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const RESTAURANT_STATUS = {
+    OPEN: 'open',
+    BUSY: 'busy', // temporarily overloaded - staff stop new orders for a while
+    PAUSED: 'paused' // closed for the day / until further notice
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock date, weekday and minutes-since-midnight in the given timezone
+const getLocalTime = (date, timezone = DEFAULT_TIMEZONE) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+    const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+        date: localDate,
+        weekday: WEEKDAYS[new Date(`${localDate}T00:00:00Z`).getUTCDay()],
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+};
+
+// The instant at which the clock in `timezone` shows localDate + minutes since
+// midnight (minutes past 1440 run into the next day)
+const toInstant = (localDate, minutes, timezone = DEFAULT_TIMEZONE) => {
+    const wallClock = new Date(`${localDate}T00:00:00Z`).getTime() + minutes * 60000;
+
+    // Correct by the zone's offset; the second pass settles DST boundaries
+    let instant = wallClock;
+    for (let pass = 0; pass < 2; pass++) {
+        const local = getLocalTime(new Date(instant), timezone);
+        const shown = new Date(`${local.date}T00:00:00Z`).getTime() + local.minutes * 60000;
+        instant += wallClock - shown;
+    }
+    return new Date(instant);
+};
+
+const shiftDate = (localDate, days) => {
+    const shifted = new Date(`${localDate}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (localDate) => WEEKDAYS[new Date(`${localDate}T00:00:00Z`).getUTCDay()];
+
+// Per-weekday schedule wins; otherwise the legacy openTime/closeTime apply every day
+const getWindows = (restaurant, weekday) => {
+    if (restaurant.schedule && Array.isArray(restaurant.schedule[weekday])) {
+        return restaurant.schedule[weekday];
+    }
+    if (restaurant.openTime && restaurant.closeTime) {
+        return [{ open: restaurant.openTime, close: restaurant.closeTime }];
+    }
+    return [];
+};
+
+const getHoliday = (restaurant, localDate) => (restaurant.holidays || [])
+    .map(holiday => (typeof holiday === 'string' ? { date: holiday, reason: null } : holiday))
+    .find(holiday => holiday.date === localDate) || null;
+
+// Windows whose close is at or before open run past midnight (e.g. 18:00-02:00)
+const isWithinWindows = (restaurant, local) => {
+    const today = getWindows(restaurant, local.weekday).some(window => {
+        const open = toMinutes(window.open);
+        const close = toMinutes(window.close);
+        return close > open
+            ? local.minutes >= open && local.minutes < close
+            : local.minutes >= open;
+    });
+    if (today) return true;
+
+    const yesterday = shiftDate(local.date, -1);
+    if (getHoliday(restaurant, yesterday)) return false;
+
+    return getWindows(restaurant, weekdayOf(yesterday)).some(window => {
+        const open = toMinutes(window.open);
+        const close = toMinutes(window.close);
+        return close <= open && local.minutes < close;
+    });
+};
+
+// Next scheduled opening within a week, in the restaurant's local time
+const findNextOpening = (restaurant, local) => {
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = shiftDate(local.date, offset);
+        if (getHoliday(restaurant, date)) continue;
+
+        const opening = getWindows(restaurant, weekdayOf(date))
+            .map(window => window.open)
+            .filter(open => offset > 0 || toMinutes(open) > local.minutes)
+            .sort()[0];
+
+        if (opening) {
+            return { date, time: opening };
+        }
+    }
+    return null;
+};
+
+// Whether a manual busy/paused status covers the instant `at`. A pause without
+// an end time covers everything until staff reopen.
+const isPausedAt = (restaurant, at) => {
+    if ((restaurant.status || RESTAURANT_STATUS.OPEN) === RESTAURANT_STATUS.OPEN) return false;
+    return !restaurant.pausedUntil || new Date(at) < new Date(restaurant.pausedUntil);
+};
+
+// Whether the restaurant is taking orders right now, and why not if it isn't
+const getAvailability = (restaurant, now = new Date()) => {
+    const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+    const local = getLocalTime(now, timezone);
+    const status = restaurant.status || RESTAURANT_STATUS.OPEN;
+
+    // A pause with an end time lifts itself once that time has passed
+    const pauseExpired = restaurant.pausedUntil && new Date(restaurant.pausedUntil) <= now;
+    if (status !== RESTAURANT_STATUS.OPEN && !pauseExpired) {
+        return {
+            isOpen: false,
+            status,
+            reason: restaurant.statusReason || `Restaurant is ${status}`,
+            until: restaurant.pausedUntil || null,
+            timezone
+        };
+    }
+
+    const holiday = getHoliday(restaurant, local.date);
+    if (holiday) {
+        return {
+            isOpen: false,
+            status: RESTAURANT_STATUS.OPEN,
+            reason: holiday.reason ? `Closed for ${holiday.reason}` : 'Closed for a holiday',
+            nextOpening: findNextOpening(restaurant, local),
+            timezone
+        };
+    }
+
+    if (!isWithinWindows(restaurant, local)) {
+        return {
+            isOpen: false,
+            status: RESTAURANT_STATUS.OPEN,
+            reason: 'Outside operating hours',
+            nextOpening: findNextOpening(restaurant, local),
+            timezone
+        };
+    }
+
+    return {
+        isOpen: true,
+        status: RESTAURANT_STATUS.OPEN,
+        reason: null,
+        timezone
+    };
+};
+
+// Validates the hours-related fields of a restaurant update -> [{ field, message }]
+const validateOperatingHours = (changes) => {
+    const errors = [];
+    const checkWindow = (window, label) => {
+        if (!window || !TIME_PATTERN.test(window.open) || !TIME_PATTERN.test(window.close)) {
+            errors.push({ field: label, message: `${label} must have open and close times in HH:MM format` });
+        }
+    };
+
+    if (changes.timezone !== undefined && !isValidTimezone(changes.timezone)) {
+        errors.push({ field: 'timezone', message: `Unknown timezone: ${changes.timezone}` });
+    }
+
+    ['openTime', 'closeTime'].forEach(field => {
+        if (changes[field] !== undefined && !TIME_PATTERN.test(changes[field])) {
+            errors.push({ field, message: `${field} must be in HH:MM format` });
+        }
+    });
+
+    if (changes.schedule !== undefined && changes.schedule !== null) {
+        if (typeof changes.schedule !== 'object' || Array.isArray(changes.schedule)) {
+            errors.push({ field: 'schedule', message: 'schedule must be an object keyed by weekday (sun, mon, ...)' });
+        } else {
+            Object.entries(changes.schedule).forEach(([weekday, windows]) => {
+                if (!WEEKDAYS.includes(weekday)) {
+                    errors.push({ field: `schedule.${weekday}`, message: `Unknown weekday in schedule: ${weekday}` });
+                } else if (!Array.isArray(windows)) {
+                    errors.push({ field: `schedule.${weekday}`, message: `schedule.${weekday} must be an array of { open, close } windows` });
+                } else {
+                    windows.forEach((window, index) => checkWindow(window, `schedule.${weekday}[${index}]`));
+                }
+            });
+        }
+    }
+
+    if (changes.holidays !== undefined) {
+        if (!Array.isArray(changes.holidays)) {
+            errors.push({ field: 'holidays', message: 'holidays must be an array' });
+        } else {
+            changes.holidays.forEach((holiday, index) => {
+                const date = typeof holiday === 'string' ? holiday : holiday?.date;
+                if (!DATE_PATTERN.test(date || '')) {
+                    errors.push({ field: `holidays[${index}]`, message: `holidays[${index}] must be a YYYY-MM-DD date` });
+                }
+            });
+        }
+    }
+
+    return errors;
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    WEEKDAYS,
+    RESTAURANT_STATUS,
+    isValidTimezone,
+    getLocalTime,
+    toInstant,
+    shiftDate,
+    weekdayOf,
+    getWindows,
+    getHoliday,
+    toMinutes,
+    isPausedAt,
+    getAvailability,
+    validateOperatingHours
+};
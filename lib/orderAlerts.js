@@ -0,0 +1,48 @@
+// Kitchen acknowledgement of new orders. An order that nobody acknowledges is
+// re-alerted every `timeoutMs`; after `maxRealerts` re-alerts it is escalated.
+const DEFAULT_ACK_TIMEOUT_SECONDS = 30;
+const MAX_REALERTS = 3;
+
+const ALERT_ACTION = {
+    REALERT: 'realert',
+    ESCALATE: 'escalate'
+};
+
+// What to do once an order's acknowledgement window runs out
+const nextAlertAction = (order, maxRealerts = MAX_REALERTS) => (
+    (order.alertCount || 0) < maxRealerts ? ALERT_ACTION.REALERT : ALERT_ACTION.ESCALATE
+);
+
+// One timer per unacknowledged order - `onTimeout(orderId)` decides what happens next
+const createAckTracker = ({ timeoutMs, onTimeout }) => {
+    const timers = new Map();
+
+    const clear = (orderId) => {
+        clearTimeout(timers.get(orderId));
+        timers.delete(orderId);
+    };
+
+    const track = (orderId, delayMs = timeoutMs) => {
+        clear(orderId);
+        const timer = setTimeout(() => {
+            timers.delete(orderId);
+            onTimeout(orderId);
+        }, Math.max(delayMs, 0));
+        timer.unref();
+        timers.set(orderId, timer);
+    };
+
+    return {
+        track,
+        clear,
+        isTracking: (orderId) => timers.has(orderId)
+    };
+};
+
+module.exports = {
+    DEFAULT_ACK_TIMEOUT_SECONDS,
+    MAX_REALERTS,
+    ALERT_ACTION,
+    nextAlertAction,
+    createAckTracker
+};
@@ -0,0 +1,112 @@
+// Order lifecycle - the only legal way to move an order between statuses.
+//
+//   pending -> accepted -> preparing -> ready -> out_for_delivery -> delivered
+//      |          |           |          |
+//      |          +-----------+----------+--> cancelled  (reason required)
+//      +--> rejected / cancelled              (reason required)
+//
+// Pickup orders go straight from ready to delivered (collected).
+const ORDER_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    PREPARING: 'preparing',
+    READY: 'ready',
+    OUT_FOR_DELIVERY: 'out_for_delivery',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    REJECTED: 'rejected'
+};
+
+const TRANSITIONS = {
+    [ORDER_STATUS.PENDING]: [ORDER_STATUS.ACCEPTED, ORDER_STATUS.REJECTED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.ACCEPTED]: [ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.PREPARING]: [ORDER_STATUS.READY, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.READY]: [ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.OUT_FOR_DELIVERY]: [ORDER_STATUS.DELIVERED],
+    [ORDER_STATUS.DELIVERED]: [],
+    [ORDER_STATUS.CANCELLED]: [],
+    [ORDER_STATUS.REJECTED]: []
+};
+
+const FULFILLMENT = {
+    DELIVERY: 'delivery',
+    PICKUP: 'pickup'
+};
+
+// Pickup orders skip the ride - the customer collects them once ready
+const PICKUP_TRANSITIONS = {
+    ...TRANSITIONS,
+    [ORDER_STATUS.READY]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED]
+};
+
+const REASON_REQUIRED = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED];
+
+const isValidStatus = (status) => Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+
+const getAllowedTransitions = (status, fulfillment = FULFILLMENT.DELIVERY) =>
+    (fulfillment === FULFILLMENT.PICKUP ? PICKUP_TRANSITIONS : TRANSITIONS)[status] || [];
+
+const canTransition = (from, to, fulfillment) => getAllowedTransitions(from, fulfillment).includes(to);
+
+const isFinalStatus = (status) => isValidStatus(status) && getAllowedTransitions(status).length === 0;
+
+// Who made a change, as recorded in statusHistory
+const toActor = (user) => (user
+    ? { id: user.id, role: user.role, name: user.name || null }
+    : { id: null, role: 'system', name: null });
+
+const createHistoryEntry = (from, to, actor, reason = null, at = new Date().toISOString()) => ({
+    from,
+    to,
+    at,
+    by: actor,
+    reason
+});
+
+// Validates a status change and returns { errors, changes } where changes is the
+// patch to persist on the order (null whenever errors is non-empty)
+const transitionOrder = (order, nextStatus, { actor, reason } = {}) => {
+    const errors = [];
+
+    if (!isValidStatus(nextStatus)) {
+        errors.push(`Unknown status: ${nextStatus}`);
+    } else if (!canTransition(order.status, nextStatus, order.fulfillment)) {
+        errors.push(`Cannot change order status from ${order.status} to ${nextStatus}`);
+    }
+
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (REASON_REQUIRED.includes(nextStatus) && !trimmedReason) {
+        errors.push(`A reason is required when an order is ${nextStatus}`);
+    }
+
+    if (errors.length > 0) {
+        return { errors, changes: null };
+    }
+
+    const entry = createHistoryEntry(order.status, nextStatus, actor || toActor(null), trimmedReason || null);
+
+    const changes = {
+        status: nextStatus,
+        updatedAt: entry.at,
+        statusHistory: [...(order.statusHistory || []), entry]
+    };
+
+    if (REASON_REQUIRED.includes(nextStatus)) {
+        changes.statusReason = entry.reason;
+    }
+
+    return { errors, changes };
+};
+
+module.exports = {
+    ORDER_STATUS,
+    FULFILLMENT,
+    TRANSITIONS,
+    isValidStatus,
+    getAllowedTransitions,
+    canTransition,
+    isFinalStatus,
+    toActor,
+    createHistoryEntry,
+    transitionOrder
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, getLocalTime } = require('./openingHours');
+
+// Order identity - ids are unique across requests, processes and restarts (the
+// time prefix keeps them sortable, the random suffix rules out same-millisecond
+// collisions). Order numbers are the short "#14" the kitchen calls out: counted
+// per restaurant and starting again at 1 every local day.
+const createOrderId = (now = Date.now()) => `ORD${now}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+// Counters are { [restaurantId]: { date, last } }, loaded once and saved on every
+// number handed out. `seed(restaurantId, date)` returns the highest number already
+// used that day, for when a restaurant has no counter yet (e.g. after an upgrade).
+const createOrderNumberer = ({ load, save, seed = () => 0 }) => {
+    const counters = load() || {};
+
+    const next = (restaurant, now = new Date()) => {
+        const orderDate = getLocalTime(now, restaurant.timezone || DEFAULT_TIMEZONE).date;
+        const counter = counters[restaurant.id];
+
+        let last = 0;
+        if (!counter) {
+            last = seed(restaurant.id, orderDate);
+        } else if (counter.date === orderDate) {
+            last = counter.last;
+        }
+
+        counters[restaurant.id] = { date: orderDate, last: last + 1 };
+        save(counters);
+
+        return { orderNumber: last + 1, orderDate };
+    };
+
+    return { next };
+};
+
+module.exports = {
+    createOrderId,
+    createOrderNumberer
+};
@@ -0,0 +1,164 @@
+// Order listing queries - filtering, free-text search, sorting and pagination
+// for GET /api/orders. Parsing and applying are split so routes can 400 early.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_FIELDS = {
+    createdAt: order => new Date(order.createdAt).getTime(),
+    total: order => order.total || 0,
+    orderNumber: order => order.orderNumber || 0,
+    status: order => order.status
+};
+
+const toList = (value) => String(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+const parseNumber = (value, name, errors) => {
+    const number = Number(value);
+    if (value === '' || Number.isNaN(number)) {
+        errors.push({ field: name, message: `${name} must be a number` });
+        return undefined;
+    }
+    return number;
+};
+
+// A bare YYYY-MM-DD `to` date includes that whole day
+const parseDate = (value, name, errors, { endOfDay = false } = {}) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        errors.push({ field: name, message: `${name} must be a valid date` });
+        return undefined;
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCMilliseconds(-1);
+    }
+    return date;
+};
+
+const parsePositiveInteger = (value, name, errors) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        errors.push({ field: name, message: `${name} must be a positive whole number` });
+        return undefined;
+    }
+    return number;
+};
+
+// Turns req.query into { errors, criteria }
+const parseOrderQuery = (query = {}) => {
+    const errors = [];
+    const criteria = {
+        page: 1,
+        limit: DEFAULT_LIMIT,
+        sortField: 'createdAt',
+        sortDirection: 'desc'
+    };
+
+    if (query.status) criteria.statuses = toList(query.status);
+    if (query.paymentMethod) criteria.paymentMethods = toList(query.paymentMethod).map(method => method.toUpperCase());
+    if (query.paymentStatus) criteria.paymentStatuses = toList(query.paymentStatus);
+    if (query.from) criteria.from = parseDate(query.from, 'from', errors);
+    if (query.to) criteria.to = parseDate(query.to, 'to', errors, { endOfDay: true });
+    if (query.minTotal !== undefined) criteria.minTotal = parseNumber(query.minTotal, 'minTotal', errors);
+    if (query.maxTotal !== undefined) criteria.maxTotal = parseNumber(query.maxTotal, 'maxTotal', errors);
+    if (query.phone) criteria.phone = String(query.phone).replace(/\s/g, '');
+    if (query.customer) criteria.customer = String(query.customer).toLowerCase().trim();
+    if (query.q) criteria.search = String(query.q).toLowerCase().trim();
+    if (query.page !== undefined) criteria.page = parsePositiveInteger(query.page, 'page', errors);
+    if (query.limit !== undefined) {
+        const limit = parsePositiveInteger(query.limit, 'limit', errors);
+        criteria.limit = limit && Math.min(limit, MAX_LIMIT);
+    }
+
+    // sort=total or sort=-total (descending)
+    if (query.sort) {
+        const sort = String(query.sort);
+        const field = sort.replace(/^-/, '');
+        if (!SORT_FIELDS[field]) {
+            errors.push({
+                field: 'sort',
+                message: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`
+            });
+        } else {
+            criteria.sortField = field;
+            criteria.sortDirection = sort.startsWith('-') ? 'desc' : 'asc';
+        }
+    }
+
+    if (criteria.from && criteria.to && criteria.from > criteria.to) {
+        errors.push({ field: 'from', message: 'from must be before to' });
+    }
+
+    return { errors, criteria };
+};
+
+const matchesCriteria = (order, criteria) => {
+    const createdAt = new Date(order.createdAt);
+    const customerInfo = order.customerInfo || {};
+
+    if (criteria.statuses && !criteria.statuses.includes(order.status)) return false;
+    if (criteria.paymentMethods && !criteria.paymentMethods.includes(order.paymentMethod)) return false;
+    if (criteria.paymentStatuses && !criteria.paymentStatuses.includes(order.paymentStatus)) return false;
+    if (criteria.from && createdAt < criteria.from) return false;
+    if (criteria.to && createdAt > criteria.to) return false;
+    if (criteria.minTotal !== undefined && order.total < criteria.minTotal) return false;
+    if (criteria.maxTotal !== undefined && order.total > criteria.maxTotal) return false;
+    if (criteria.phone && !String(customerInfo.phone || '').replace(/\s/g, '').includes(criteria.phone)) return false;
+
+    if (criteria.customer) {
+        const name = String(customerInfo.name || '').toLowerCase();
+        const phone = String(customerInfo.phone || '').replace(/\s/g, '');
+        if (!name.includes(criteria.customer) && !phone.includes(criteria.customer.replace(/\s/g, ''))) {
+            return false;
+        }
+    }
+
+    if (criteria.search) {
+        const itemMatch = (order.items || []).some(item =>
+            String(item.name || '').toLowerCase().includes(criteria.search)
+        );
+        if (!itemMatch) return false;
+    }
+
+    return true;
+};
+
+// Applies parsed criteria to a list of orders -> { data, pagination }
+const queryOrders = (orders, criteria) => {
+    const getSortValue = SORT_FIELDS[criteria.sortField];
+    const direction = criteria.sortDirection === 'asc' ? 1 : -1;
+
+    const matching = orders
+        .filter(order => matchesCriteria(order, criteria))
+        .sort((a, b) => {
+            const aValue = getSortValue(a);
+            const bValue = getSortValue(b);
+            if (aValue === bValue) return 0;
+            return aValue > bValue ? direction : -direction;
+        });
+
+    const total = matching.length;
+    const totalPages = Math.max(Math.ceil(total / criteria.limit), 1);
+    const start = (criteria.page - 1) * criteria.limit;
+
+    return {
+        data: matching.slice(start, start + criteria.limit),
+        pagination: {
+            page: criteria.page,
+            limit: criteria.limit,
+            total,
+            totalPages,
+            hasMore: start + criteria.limit < total
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseOrderQuery,
+    queryOrders
+};
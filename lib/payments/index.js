@@ -0,0 +1,66 @@
+const createMockGateway = require('./mockGateway');
+const createRazorpayGateway = require('./razorpayGateway');
+
+// Gateway adapter interface:
+//   name, signatureHeader
+//   createPayment({ orderId, amount, currency }) -> Promise<{ gatewayOrderId, checkout }>
+//   refund({ paymentId, amount }) -> Promise<{ refundId, status }>
+//   verifyWebhookSignature(rawBody, signature) -> boolean
+//   parseWebhookEvent(body, headers) -> { id, type, gatewayOrderId, paymentId, amount, reason }
+const gateways = {
+    mock: createMockGateway,
+    razorpay: createRazorpayGateway
+};
+
+const PAYMENT_STATUS = {
+    PENDING: 'pending',
+    AUTHORIZED: 'authorized',
+    PAID: 'paid',
+    FAILED: 'failed',
+    REFUNDED: 'refunded'
+};
+
+const PAYMENT_METHODS = ['COD', 'UPI', 'CARD', 'NETBANKING'];
+
+// How long an online order waits for its payment before it is cancelled
+const DEFAULT_PAYMENT_TIMEOUT_MINUTES = 15;
+
+// Cash on delivery is collected by the rider; everything else goes through the gateway
+const isOnlinePaymentMethod = (method) => method !== 'COD';
+
+// Normalised webhook event types -> the payment status they move to
+const EVENT_STATUS = {
+    'payment.authorized': PAYMENT_STATUS.AUTHORIZED,
+    'payment.captured': PAYMENT_STATUS.PAID,
+    'payment.failed': PAYMENT_STATUS.FAILED,
+    'refund.processed': PAYMENT_STATUS.REFUNDED
+};
+
+const PAYMENT_TRANSITIONS = {
+    [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.PAID, PAYMENT_STATUS.FAILED],
+    [PAYMENT_STATUS.AUTHORIZED]: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.FAILED],
+    [PAYMENT_STATUS.FAILED]: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.PAID],
+    [PAYMENT_STATUS.PAID]: [PAYMENT_STATUS.REFUNDED],
+    [PAYMENT_STATUS.REFUNDED]: []
+};
+
+// Webhooks can arrive late or out of order - never move a payment backwards
+const canChangePaymentStatus = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+const createGateway = (name, options = {}) => {
+    const factory = gateways[name];
+    if (!factory) {
+        throw new Error(`Unknown payment gateway: ${name}`);
+    }
+    return factory(options);
+};
+
+module.exports = {
+    PAYMENT_STATUS,
+    PAYMENT_METHODS,
+    DEFAULT_PAYMENT_TIMEOUT_MINUTES,
+    EVENT_STATUS,
+    isOnlinePaymentMethod,
+    canChangePaymentStatus,
+    createGateway
+};
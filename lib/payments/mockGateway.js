@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+const DEFAULT_WEBHOOK_SECRET = 'mock_webhook_secret';
+
+// Local mock gateway - no network, deterministic signatures. buildWebhook()
+// produces a correctly signed webhook so tests and local dev can "pay".
+// The well-known default secret is only allowed where allowDefaultSecret is set.
+const createMockGateway = ({ webhookSecret, allowDefaultSecret = false } = {}) => {
+    if ((!webhookSecret || webhookSecret === DEFAULT_WEBHOOK_SECRET) && !allowDefaultSecret) {
+        throw new Error('Mock gateway requires a non-default webhookSecret outside development');
+    }
+    const secret = webhookSecret || DEFAULT_WEBHOOK_SECRET;
+    const sign = (rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+    return {
+        name: 'mock',
+        signatureHeader: 'x-mock-signature',
+
+        createPayment: async ({ orderId, amount, currency }) => {
+            const gatewayOrderId = randomId('mock_order');
+            return {
+                gatewayOrderId,
+                amount,
+                currency,
+                checkout: {
+                    provider: 'mock',
+                    gatewayOrderId,
+                    upiLink: `upi://pay?pa=zaika@mock&am=${amount}&cu=${currency}&tr=${orderId}`
+                }
+            };
+        },
+
+        refund: async ({ paymentId, amount }) => ({
+            refundId: randomId('mock_rfnd'),
+            paymentId,
+            amount,
+            status: 'processed'
+        }),
+
+        verifyWebhookSignature: (rawBody, signature) => {
+            if (!rawBody || typeof signature !== 'string') return false;
+
+            const expected = Buffer.from(sign(rawBody));
+            const actual = Buffer.from(signature);
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        },
+
+        parseWebhookEvent: (body) => ({
+            id: body.id,
+            type: body.event,
+            gatewayOrderId: body.payload?.gatewayOrderId || null,
+            paymentId: body.payload?.paymentId || null,
+            amount: body.payload?.amount ?? null,
+            reason: body.payload?.reason || null
+        }),
+
+        buildWebhook: (event, { gatewayOrderId, paymentId = randomId('mock_pay'), amount, reason } = {}) => {
+            const rawBody = JSON.stringify({
+                id: randomId('mock_evt'),
+                event,
+                payload: { gatewayOrderId, paymentId, amount, reason }
+            });
+            return { rawBody, signature: sign(rawBody) };
+        }
+    };
+};
+
+module.exports = createMockGateway;
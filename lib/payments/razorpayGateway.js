@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Razorpay adapter - amounts are in rupees on our side and paise on theirs
+const createRazorpayGateway = ({ keyId, keySecret, webhookSecret }) => {
+    if (!keyId || !keySecret || !webhookSecret) {
+        throw new Error('Razorpay gateway requires keyId, keySecret and webhookSecret');
+    }
+
+    const request = async (pathname, body) => {
+        const response = await fetch(`${API_BASE}${pathname}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Razorpay request to ${pathname} failed with status ${response.status}`);
+        }
+        return response.json();
+    };
+
+    return {
+        name: 'razorpay',
+        signatureHeader: 'x-razorpay-signature',
+
+        createPayment: async ({ orderId, amount, currency }) => {
+            const razorpayOrder = await request('/orders', {
+                amount: Math.round(amount * 100),
+                currency,
+                receipt: orderId
+            });
+
+            return {
+                gatewayOrderId: razorpayOrder.id,
+                amount,
+                currency,
+                checkout: {
+                    provider: 'razorpay',
+                    keyId,
+                    gatewayOrderId: razorpayOrder.id
+                }
+            };
+        },
+
+        refund: async ({ paymentId, amount }) => {
+            const refund = await request(`/payments/${paymentId}/refund`, {
+                amount: Math.round(amount * 100)
+            });
+
+            return {
+                refundId: refund.id,
+                paymentId,
+                amount: refund.amount / 100,
+                status: refund.status
+            };
+        },
+
+        verifyWebhookSignature: (rawBody, signature) => {
+            if (!rawBody || typeof signature !== 'string') return false;
+
+            const expected = Buffer.from(crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex'));
+            const actual = Buffer.from(signature);
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        },
+
+        // Razorpay sends the event id as a header, not in the body
+        parseWebhookEvent: (body, headers = {}) => {
+            const payment = body.payload?.payment?.entity;
+            const refund = body.payload?.refund?.entity;
+            const entity = payment || refund || {};
+
+            return {
+                id: headers['x-razorpay-event-id'] || `${body.event}:${entity.id}`,
+                type: body.event,
+                gatewayOrderId: payment?.order_id || null,
+                paymentId: payment?.id || refund?.payment_id || null,
+                amount: typeof entity.amount === 'number' ? entity.amount / 100 : null,
+                reason: payment?.error_description || null
+            };
+        }
+    };
+};
+
+module.exports = createRazorpayGateway;
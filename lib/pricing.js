@@ -0,0 +1,139 @@
+const { resolveSelections } = require('./modifiers');
+
+// Server-side order pricing - the client's prices are never trusted,
+// every line is resolved against the current menu and totals are recomputed.
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && !Number.isNaN(value) ? value : fallback;
+};
+
+const PRICING_CONFIG = {
+    gstRate: numberFromEnv('GST_RATE', 0.05), // 5% GST on restaurant food
+    deliveryCharge: numberFromEnv('DELIVERY_CHARGE', 40),
+    freeDeliveryAbove: numberFromEnv('FREE_DELIVERY_ABOVE', 500)
+};
+
+// Round to paise so floating point noise never leaks into totals
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const calculateDeliveryCharge = (subtotal, config = PRICING_CONFIG) => {
+    if (subtotal <= 0) return 0;
+    return subtotal >= config.freeDeliveryAbove ? 0 : config.deliveryCharge;
+};
+
+// Resolves client line items against the menu and computes the full breakdown.
+// Returns { errors, pricing } - pricing is null whenever errors is non-empty.
+const priceOrder = (items, findMenuItem, config = PRICING_CONFIG) => {
+    const errors = [];
+    const lines = [];
+
+    (items || []).forEach((item, index) => {
+        const menuItem = findMenuItem(item.id);
+
+        if (!menuItem) {
+            errors.push({ field: `items[${index}].id`, message: `Menu item ${item.id} does not exist` });
+            return;
+        }
+        if (!menuItem.available) {
+            errors.push({ field: `items[${index}].id`, message: `${menuItem.name} is currently unavailable` });
+            return;
+        }
+
+        // Chosen modifiers adjust the unit price
+        const selection = resolveSelections(menuItem, item.options);
+        if (selection.errors.length > 0) {
+            selection.errors.forEach(message => errors.push({ field: `items[${index}].options`, message }));
+            return;
+        }
+
+        const unitPrice = roundCurrency(menuItem.price + selection.priceDelta);
+        if (unitPrice <= 0) {
+            errors.push({ field: `items[${index}].options`, message: `${menuItem.name} cannot be priced with these options` });
+            return;
+        }
+
+        lines.push({
+            id: menuItem.id,
+            name: menuItem.name,
+            basePrice: menuItem.price,
+            options: selection.options.map(({ preparationTimeDelta, ...option }) => option),
+            unitPrice,
+            quantity: item.quantity,
+            lineTotal: roundCurrency(unitPrice * item.quantity)
+        });
+    });
+
+    if (errors.length > 0) {
+        return { errors, pricing: null };
+    }
+
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const deliveryCharge = calculateDeliveryCharge(subtotal, config);
+    const gstAmount = roundCurrency(subtotal * config.gstRate);
+
+    return {
+        errors,
+        pricing: {
+            items: lines,
+            subtotal,
+            deliveryCharge,
+            taxes: [
+                { name: 'GST', rate: config.gstRate, amount: gstAmount }
+            ],
+            taxTotal: gstAmount,
+            total: roundCurrency(subtotal + deliveryCharge + gstAmount),
+            currency: 'INR'
+        }
+    };
+};
+
+// Swaps the flat delivery fee for a restaurant's distance-based quote
+const applyDeliveryQuote = (pricing, quote) => ({
+    ...pricing,
+    deliveryCharge: quote.deliveryCharge,
+    delivery: {
+        distanceKm: quote.distanceKm,
+        freeDeliveryAbove: quote.freeDeliveryAbove,
+        minOrderValue: quote.minOrderValue
+    },
+    total: roundCurrency(pricing.subtotal + quote.deliveryCharge + pricing.taxTotal)
+});
+
+// Pickup orders pay no delivery charge
+const applyPickup = (pricing) => ({
+    ...pricing,
+    deliveryCharge: 0,
+    delivery: null,
+    total: roundCurrency(pricing.subtotal + pricing.taxTotal)
+});
+
+// Applies a coupon discount. GST is charged on the discounted food value,
+// so taxes are recomputed; the delivery part comes off the delivery charge.
+const applyDiscount = (pricing, discount) => {
+    const taxableAmount = roundCurrency(pricing.subtotal - discount.itemDiscount);
+    const taxes = pricing.taxes.map(tax => ({ ...tax, amount: roundCurrency(taxableAmount * tax.rate) }));
+    const taxTotal = roundCurrency(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+    return {
+        ...pricing,
+        discount,
+        taxes,
+        taxTotal,
+        total: roundCurrency(taxableAmount + pricing.deliveryCharge - discount.deliveryDiscount + taxTotal)
+    };
+};
+
+// Client totals are only accepted if they agree with ours to the paisa
+const totalsMatch = (clientTotal, serverTotal) => Math.abs(roundCurrency(clientTotal) - serverTotal) < 0.01;
+
+module.exports = {
+    PRICING_CONFIG,
+    numberFromEnv,
+    roundCurrency,
+    calculateDeliveryCharge,
+    priceOrder,
+    applyDeliveryQuote,
+    applyPickup,
+    applyDiscount,
+    totalsMatch
+};
@@ -0,0 +1,168 @@
+const createMemoryStore = require('./memoryStore');
+
+// Rate limits for HTTP routes and socket events. Each rule counts per IP and,
+// for signed-in users, per user - whichever runs out first blocks the call.
+//
+// Store adapter interface:
+//   name
+//   hit(key, windowMs) -> Promise<{ count, resetAt }>   (count includes this hit)
+//   reset(key) -> Promise<void>
+const stores = {
+    memory: createMemoryStore
+};
+
+// { windowSeconds, ip, user } - a missing ip/user maximum means "not limited that way"
+const DEFAULT_RULES = {
+    api: { windowSeconds: 60, ip: 300, user: 300 }, // every /api call
+    auth: { windowSeconds: 15 * 60, ip: 30 }, // login and sign-up guessing
+    orders: { windowSeconds: 60, ip: 30, user: 10 },
+    menuWrite: { windowSeconds: 60, ip: 120, user: 60 },
+    socket: { windowSeconds: 10, ip: 100, user: 50 }, // socket events without their own rule
+    'socket:trackOrder': { windowSeconds: 10, ip: 40, user: 20 },
+    'socket:toggleItemAvailability': { windowSeconds: 10, ip: 30, user: 20 },
+    'socket:setRestaurantStatus': { windowSeconds: 10, ip: 10, user: 5 },
+    'socket:riderLocation': { windowSeconds: 10, ip: 60, user: 30 },
+    'socket:test': { windowSeconds: 10, ip: 5, user: 5 }
+};
+
+// Largest accepted socket payload per event, in bytes of JSON
+const DEFAULT_SOCKET_PAYLOAD_BYTES = 4 * 1024;
+const SOCKET_PAYLOAD_LIMITS = {
+    joinRoom: 1024,
+    trackOrder: 256,
+    watchMenu: 256,
+    acknowledgeOrder: 256,
+    riderLocation: 512,
+    toggleItemAvailability: 512,
+    setRestaurantStatus: 1024,
+    test: 1024
+};
+
+const createRateLimitStore = (name, options = {}) => {
+    const factory = stores[name];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return factory(options);
+};
+
+// Merges overrides such as {"orders":{"user":5}} into the default rules
+const resolveRules = (overrides = {}) => {
+    const rules = { ...DEFAULT_RULES };
+    Object.entries(overrides).forEach(([name, override]) => {
+        rules[name] = { ...(rules[name] || DEFAULT_RULES.socket), ...override };
+    });
+    return rules;
+};
+
+// -> { check(ruleName, { ip, userId }) -> Promise<{ allowed, limit, remaining, resetAt, retryAfter, by }> }
+const createRateLimiter = ({ store, rules = DEFAULT_RULES }) => {
+    const check = async (ruleName, { ip, userId = null }, now = Date.now()) => {
+        const rule = rules[ruleName];
+        const subjects = rule
+            ? [['ip', ip, rule.ip], ['user', userId, rule.user]].filter(([, id, max]) => id && max)
+            : [];
+        if (subjects.length === 0) {
+            return { allowed: true, limit: null, remaining: null, resetAt: null, retryAfter: 0, by: null };
+        }
+
+        // Report the tightest subject - a blocked one, else the one with least left
+        let tightest = null;
+        for (const [by, id, max] of subjects) {
+            const { count, resetAt } = await store.hit(`${ruleName}:${by}:${id}`, rule.windowSeconds * 1000);
+            const result = { allowed: count <= max, limit: max, remaining: Math.max(0, max - count), resetAt, by };
+            const tighter = !tightest ||
+                (tightest.allowed && !result.allowed) ||
+                (tightest.allowed === result.allowed && result.remaining < tightest.remaining);
+            if (tighter) tightest = result;
+        }
+
+        return { ...tightest, retryAfter: Math.max(1, Math.ceil((tightest.resetAt - now) / 1000)) };
+    };
+
+    return { rules, check };
+};
+
+// A store outage shouldn't take the API down with it - such calls are let through
+const checkOrAllow = async (limiter, ruleName, subject) => {
+    try {
+        return await limiter.check(ruleName, subject);
+    } catch (error) {
+        console.warn(`⚠️ Rate limit check for ${ruleName} failed, allowing request:`, error.message);
+        return { allowed: true };
+    }
+};
+
+// Express middleware - sets RateLimit-* headers, 429 with Retry-After once used up
+const httpLimit = (limiter, ruleName, { skip = () => false } = {}) => async (req, res, next) => {
+    if (skip(req)) return next();
+
+    const result = await checkOrAllow(limiter, ruleName, { ip: req.ip, userId: req.user ? req.user.id : null });
+    if (result.limit) {
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.retryAfter)
+        });
+    }
+    if (result.allowed) return next();
+
+    res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json({
+        success: false,
+        message: `Too many requests - please try again in ${result.retryAfter} second(s)`,
+        retryAfter: result.retryAfter
+    });
+};
+
+const payloadBytes = (args) => {
+    try {
+        return Buffer.byteLength(JSON.stringify(args) || '');
+    } catch (error) {
+        return Infinity;
+    }
+};
+
+// socket.use() middleware - checks every incoming event's size and rate. Refused
+// events never reach their handler; the sender gets an `error` event (and its
+// ack callback, if any) with a code and, for rate limits, retryAfter seconds.
+const socketLimit = (limiter, { ipOf, payloadLimits = SOCKET_PAYLOAD_LIMITS } = {}) => (socket) => async (packet, next) => {
+    const [event, ...args] = packet;
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+    const refuse = (error) => {
+        socket.emit('error', { event, ...error });
+        if (callback) callback({ success: false, ...error });
+    };
+
+    const maxBytes = payloadLimits[event] || DEFAULT_SOCKET_PAYLOAD_BYTES;
+    if (payloadBytes(args) > maxBytes) {
+        return refuse({ code: 'PAYLOAD_TOO_LARGE', message: `${event} payload is larger than ${maxBytes} bytes`, maxBytes });
+    }
+
+    const ruleName = limiter.rules[`socket:${event}`] ? `socket:${event}` : 'socket';
+    const result = await checkOrAllow(limiter, ruleName, {
+        ip: ipOf(socket),
+        userId: socket.data.user ? socket.data.user.id : null
+    });
+    if (!result.allowed) {
+        return refuse({
+            code: 'RATE_LIMITED',
+            message: `Too many ${event} events - please try again in ${result.retryAfter} second(s)`,
+            retryAfter: result.retryAfter
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    DEFAULT_RULES,
+    DEFAULT_SOCKET_PAYLOAD_BYTES,
+    SOCKET_PAYLOAD_LIMITS,
+    createRateLimitStore,
+    resolveRules,
+    createRateLimiter,
+    httpLimit,
+    socketLimit
+};
@@ -0,0 +1,35 @@
+// In-process fixed-window counters. Enough for a single server; running several
+// instances needs a shared backend (e.g. Redis INCR + PEXPIRE) behind the same
+// interface so they all count together.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const windows = new Map();
+
+    // Finished windows are dropped so idle IPs don't pile up
+    const sweep = (now = Date.now()) => {
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) windows.delete(key);
+        });
+    };
+    const sweepTimer = setInterval(sweep, sweepIntervalMs);
+    sweepTimer.unref();
+
+    return {
+        name: 'memory',
+
+        hit: async (key, windowMs, now = Date.now()) => {
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+
+        reset: async (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,60 @@
+const { resolveSelections } = require('./modifiers');
+const { roundCurrency } = require('./pricing');
+
+const REORDER_ISSUES = {
+    REMOVED: 'removed',
+    UNAVAILABLE: 'unavailable',
+    OPTIONS_CHANGED: 'options_changed',
+    PRICE_CHANGED: 'price_changed'
+};
+
+// Rebuilds a cart from a past order against today's menu -> { items, issues }.
+// items is ready for POST /api/orders; issues lists everything that changed since.
+const buildReorder = (order, findMenuItem) => {
+    const items = [];
+    const issues = [];
+
+    (order.items || []).forEach(line => {
+        const menuItem = findMenuItem(line.id);
+        const issue = (type, extra = {}) => issues.push({ itemId: line.id, name: line.name, issue: type, ...extra });
+
+        if (!menuItem || menuItem.restaurantId !== order.restaurantId) {
+            issue(REORDER_ISSUES.REMOVED);
+            return;
+        }
+        if (!menuItem.available) {
+            issue(REORDER_ISSUES.UNAVAILABLE);
+            return;
+        }
+
+        // Keep the modifiers that still exist and are on offer
+        const previous = (line.options || []).map(option => ({ groupId: option.groupId, optionId: option.optionId }));
+        const kept = previous.filter(selection => {
+            const group = (menuItem.optionGroups || []).find(candidate => candidate.id === selection.groupId);
+            const option = group && group.options.find(candidate => candidate.id === selection.optionId);
+            return Boolean(option && option.available !== false);
+        });
+
+        const selection = resolveSelections(menuItem, kept);
+        if (kept.length !== previous.length || selection.errors.length > 0) {
+            issue(REORDER_ISSUES.OPTIONS_CHANGED, { errors: selection.errors });
+        }
+        if (selection.errors.length > 0) {
+            return;
+        }
+
+        const currentPrice = roundCurrency(menuItem.price + selection.priceDelta);
+        if (currentPrice !== line.price) {
+            issue(REORDER_ISSUES.PRICE_CHANGED, { previousPrice: line.price, currentPrice });
+        }
+
+        items.push({ id: menuItem.id, quantity: line.quantity, options: kept });
+    });
+
+    return { items, issues };
+};
+
+module.exports = {
+    REORDER_ISSUES,
+    buildReorder
+};
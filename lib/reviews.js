@@ -0,0 +1,59 @@
+// Ratings and reviews for delivered orders. Only published reviews count
+// towards menu item and restaurant ratings.
+const REVIEW_STATUS = {
+    PUBLISHED: 'published',
+    HIDDEN: 'hidden'
+};
+
+// Item ratings must refer to items that were actually in the order -> [{ field, message }]
+const validateItemRatings = (order, itemRatings = []) => {
+    const errors = [];
+    const orderedIds = new Set((order.items || []).map(line => Number(line.id)));
+    const seen = new Set();
+
+    itemRatings.forEach((entry, index) => {
+        const itemId = Number(entry.itemId);
+        if (!orderedIds.has(itemId)) {
+            errors.push({ field: `items[${index}].itemId`, message: `Item ${entry.itemId} was not part of this order` });
+        } else if (seen.has(itemId)) {
+            errors.push({ field: `items[${index}].itemId`, message: `Item ${entry.itemId} is rated more than once` });
+        }
+        seen.add(itemId);
+    });
+
+    return errors;
+};
+
+const summarize = (ratings) => ({
+    rating: ratings.length > 0
+        ? Math.round(ratings.reduce((sum, value) => sum + value, 0) / ratings.length * 10) / 10
+        : null,
+    ratingCount: ratings.length
+});
+
+// Average rating per menu item -> Map(itemId => { rating, ratingCount })
+const summarizeItemRatings = (reviews, itemIds) => {
+    const ratings = new Map(itemIds.map(itemId => [itemId, []]));
+
+    reviews
+        .filter(review => review.status === REVIEW_STATUS.PUBLISHED)
+        .forEach(review => (review.items || []).forEach(entry => {
+            if (ratings.has(entry.itemId)) {
+                ratings.get(entry.itemId).push(entry.rating);
+            }
+        }));
+
+    return new Map(Array.from(ratings.entries()).map(([itemId, values]) => [itemId, summarize(values)]));
+};
+
+// Overall rating from the order-level scores
+const summarizeOrderRatings = (reviews) => summarize(
+    reviews.filter(review => review.status === REVIEW_STATUS.PUBLISHED).map(review => review.rating)
+);
+
+module.exports = {
+    REVIEW_STATUS,
+    validateItemRatings,
+    summarizeItemRatings,
+    summarizeOrderRatings
+};
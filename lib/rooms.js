@@ -0,0 +1,35 @@
+// Socket.IO room names in one place so emitters and joiners never drift apart
+const ROOMS = {
+    RESTAURANT: 'restaurant_room',
+    CUSTOMER: 'customer_room',
+    RIDER: 'rider_room',
+    DEBUG: 'debug_room',
+    // Transitional: sockets that never sent watchMenu (client pages from before
+    // per-outlet menus) still get the default outlet's menu as a bare array.
+    // Remove once every client sends watchMenu.
+    MENU_LEGACY: 'menu_legacy_room'
+};
+
+// Per-outlet staff room - new orders and kitchen events for one restaurant
+const restaurantRoom = (restaurantId) => `restaurant:${restaurantId}`;
+
+// Private per-customer room - every socket of that customer joins it
+const customerRoom = (customerId) => `customer:${customerId}`;
+
+// Private per-rider room - delivery assignments for one rider
+const riderRoom = (riderId) => `rider:${riderId}`;
+
+// Per-order room - joined via trackOrder by the order's owner (or staff)
+const orderRoom = (orderId) => `order:${orderId}`;
+
+// Per-outlet menu room - menu changes go only to sockets browsing that outlet
+const menuRoom = (restaurantId) => `menu:${restaurantId}`;
+
+module.exports = {
+    ROOMS,
+    restaurantRoom,
+    customerRoom,
+    riderRoom,
+    orderRoom,
+    menuRoom
+};
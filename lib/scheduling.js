@@ -0,0 +1,122 @@
+const {
+    DEFAULT_TIMEZONE,
+    getLocalTime,
+    toInstant,
+    shiftDate,
+    weekdayOf,
+    getWindows,
+    getHoliday,
+    toMinutes,
+    isPausedAt
+} = require('./openingHours');
+
+// Scheduled orders - customers book a delivery or pickup slot inside opening
+// hours. The order is held and released to the kitchen `leadMinutes` before the
+// slot starts; the release time lives on the order so restarts don't lose it.
+const DEFAULT_SCHEDULING = {
+    enabled: true,
+    slotMinutes: 30,
+    slotCapacity: 10, // orders per slot
+    maxDaysAhead: 7,
+    minLeadMinutes: 60 // earliest bookable slot, counted from now
+};
+
+const RELEASE_BUFFER_MINUTES = 10; // slack on top of cooking (and the ride)
+
+const MINUTE = 60 * 1000;
+
+const getSchedulingSettings = (restaurant) => ({ ...DEFAULT_SCHEDULING, ...(restaurant.scheduling || {}) });
+
+// How long before its slot an order has to reach the kitchen
+const leadMinutesFor = (cookMinutes, handoffMinutes) => cookMinutes + handoffMinutes + RELEASE_BUFFER_MINUTES;
+
+const releaseAtFor = (slotStart, leadMinutes) => new Date(new Date(slotStart).getTime() - leadMinutes * MINUTE).toISOString();
+
+// Held until its release time - payment permitting
+const isHeld = (order, now = new Date()) => Boolean(order.releaseAt) && new Date(order.releaseAt) > now;
+
+// Bookable slots from now until maxDaysAhead (or just on `date`, a local YYYY-MM-DD).
+// Slots a busy/paused status still covers are left out.
+// `countBooked(start)` returns how many live orders already hold a slot.
+const listSlots = (restaurant, { now = new Date(), date = null, countBooked = () => 0 } = {}) => {
+    const settings = getSchedulingSettings(restaurant);
+    if (!settings.enabled) return [];
+
+    const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+    const today = getLocalTime(now, timezone).date;
+    const earliest = now.getTime() + settings.minLeadMinutes * MINUTE;
+    const slots = [];
+
+    for (let offset = 0; offset <= settings.maxDaysAhead; offset++) {
+        const localDate = shiftDate(today, offset);
+        if (getHoliday(restaurant, localDate)) continue;
+
+        getWindows(restaurant, weekdayOf(localDate)).forEach(window => {
+            const open = toMinutes(window.open);
+            const close = toMinutes(window.close) <= open ? toMinutes(window.close) + 1440 : toMinutes(window.close);
+
+            for (let minutes = open; minutes + settings.slotMinutes <= close; minutes += settings.slotMinutes) {
+                // Slots of a window running past midnight belong to the next day
+                const slotDate = minutes >= 1440 ? shiftDate(localDate, 1) : localDate;
+                const start = toInstant(localDate, minutes, timezone);
+                if (start.getTime() < earliest || (date && slotDate !== date) || isPausedAt(restaurant, start)) continue;
+
+                const booked = countBooked(start.toISOString());
+                slots.push({
+                    start: start.toISOString(),
+                    end: new Date(start.getTime() + settings.slotMinutes * MINUTE).toISOString(),
+                    date: slotDate,
+                    time: `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+                    capacity: settings.slotCapacity,
+                    booked,
+                    remaining: Math.max(0, settings.slotCapacity - booked)
+                });
+            }
+        });
+    }
+
+    return slots.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+// Checks a requested slot for an order needing `leadMinutes` -> { errors, slot }
+const resolveSlot = (restaurant, scheduledFor, { leadMinutes, now = new Date(), countBooked }) => {
+    const requested = new Date(scheduledFor);
+    if (Number.isNaN(requested.getTime())) {
+        return { errors: [{ field: 'scheduledFor', message: 'scheduledFor must be a valid date-time' }], slot: null };
+    }
+    if (!getSchedulingSettings(restaurant).enabled) {
+        return { errors: [{ field: 'scheduledFor', message: `${restaurant.name} does not take scheduled orders` }], slot: null };
+    }
+
+    if (isPausedAt(restaurant, requested)) {
+        const reason = restaurant.statusReason || `${restaurant.name} is ${restaurant.status}`;
+        return { errors: [{ field: 'scheduledFor', message: `${reason} - pick a slot after it reopens` }], slot: null };
+    }
+
+    const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+    const slot = listSlots(restaurant, { now, date: getLocalTime(requested, timezone).date, countBooked })
+        .find(candidate => new Date(candidate.start).getTime() === requested.getTime());
+    if (!slot) {
+        return { errors: [{ field: 'scheduledFor', message: 'scheduledFor is not an available slot - pick one from the slot list' }], slot: null };
+    }
+
+    if (new Date(slot.start).getTime() - now.getTime() < leadMinutes * MINUTE) {
+        return {
+            errors: [{ field: 'scheduledFor', message: `This order needs ${leadMinutes} minutes to prepare - choose a later slot` }],
+            slot: null
+        };
+    }
+
+    return { errors: [], slot };
+};
+
+module.exports = {
+    DEFAULT_SCHEDULING,
+    RELEASE_BUFFER_MINUTES,
+    getSchedulingSettings,
+    leadMinutesFor,
+    releaseAtFor,
+    isHeld,
+    listSlots,
+    resolveSlot
+};
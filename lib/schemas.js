@@ -0,0 +1,539 @@
+// Payload schemas for lib/validation - one place to see what every API and
+// socket event accepts
+const { ORDER_STATUS } = require('./orderLifecycle');
+const { PAYMENT_METHODS } = require('./payments');
+const { RESTAURANT_STATUS } = require('./openingHours');
+
+const toUpperCase = (value) => value.toUpperCase();
+const toLowerCase = (value) => value.toLowerCase();
+
+const PHONE_PATTERN = /^\+?[0-9 ]{10,15}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Passwords are never sanitized - they are hashed, not displayed
+const passwordSpec = { type: 'string', required: true, sanitize: false, minLength: 8, maxLength: 128 };
+
+const registerSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        phone: { type: 'string', required: true, pattern: PHONE_PATTERN, patternMessage: 'phone must be a valid phone number' },
+        email: { type: 'string', pattern: EMAIL_PATTERN, patternMessage: 'email must be a valid email address', transform: toLowerCase },
+        password: passwordSpec
+    }
+};
+
+const staffSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        email: { type: 'string', required: true, pattern: EMAIL_PATTERN, patternMessage: 'email must be a valid email address', transform: toLowerCase },
+        password: passwordSpec,
+        restaurantId: { type: 'string', maxLength: 64 }
+    }
+};
+
+const customerProfileSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        email: { type: 'string', nullable: true, pattern: EMAIL_PATTERN, patternMessage: 'email must be a valid email address', transform: toLowerCase }
+    }
+};
+
+// Rider accounts are created by restaurant staff and log in with their phone
+const riderSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        phone: { type: 'string', required: true, pattern: PHONE_PATTERN, patternMessage: 'phone must be a valid phone number' },
+        password: passwordSpec,
+        vehicle: { type: 'string', maxLength: 50 }
+    }
+};
+
+const pointSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lng: { type: 'number', required: true, min: -180, max: 180 }
+    }
+};
+
+// Hours fields are only shape-checked here; lib/openingHours validates their contents
+const restaurantFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    address: { type: 'string', maxLength: 300 },
+    phone: { type: 'string', maxLength: 20 },
+    email: { type: 'string', maxLength: 100 },
+    openTime: { type: 'string' },
+    closeTime: { type: 'string' },
+    timezone: { type: 'string', maxLength: 64 },
+    schedule: { type: 'object', nullable: true },
+    holidays: { type: 'array', items: { type: ['string', 'object'] } },
+    location: { ...pointSchema, nullable: true },
+    // Contents are cross-checked by lib/deliveryZones
+    deliveryZone: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            type: { type: 'string', required: true, enum: ['radius', 'polygon'] },
+            radiusKm: { type: 'number', min: 0.1, max: 100 },
+            polygon: { type: 'array', minItems: 3, maxItems: 100, items: pointSchema }
+        }
+    },
+    deliveryFees: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            slabs: {
+                type: 'array',
+                maxItems: 20,
+                default: () => [],
+                items: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        upToKm: { type: 'number', required: true, min: 0.1, max: 100 },
+                        fee: { type: 'number', required: true, min: 0, max: 1000 }
+                    }
+                }
+            },
+            freeDeliveryAbove: { type: 'number', min: 0, nullable: true },
+            minOrderValue: { type: 'number', min: 0, max: 100000, default: 0 }
+        }
+    },
+    // How many orders the kitchen cooks at once - drives load-aware ETAs
+    kitchen: {
+        type: 'object',
+        properties: {
+            parallelCapacity: { type: 'integer', required: true, min: 1, max: 50 }
+        }
+    },
+    // Scheduled orders - unset fields fall back to lib/scheduling defaults
+    scheduling: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            slotMinutes: { type: 'integer', min: 10, max: 240 },
+            slotCapacity: { type: 'integer', min: 1, max: 1000 },
+            maxDaysAhead: { type: 'integer', min: 0, max: 60 },
+            minLeadMinutes: { type: 'integer', min: 0, max: 1440 }
+        }
+    }
+};
+
+const restaurantSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        ...restaurantFields,
+        id: { type: 'string', pattern: /^[a-z0-9-]{2,64}$/, patternMessage: 'id may only contain lowercase letters, numbers and dashes' },
+        name: { ...restaurantFields.name, required: true }
+    }
+};
+
+const restaurantUpdateSchema = {
+    type: 'object',
+    required: true,
+    properties: restaurantFields
+};
+
+const optionGroupSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        id: { type: 'string', required: true, pattern: /^[a-z0-9_-]{1,40}$/, patternMessage: 'option group id may only contain lowercase letters, numbers, _ and -' },
+        name: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+        required: { type: 'boolean', default: false },
+        minSelections: { type: 'integer', min: 0, max: 20, default: 0 },
+        maxSelections: { type: 'integer', min: 1, max: 20, default: 1 },
+        options: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            maxItems: 20,
+            items: {
+                type: 'object',
+                required: true,
+                properties: {
+                    id: { type: 'string', required: true, pattern: /^[a-z0-9_-]{1,40}$/, patternMessage: 'option id may only contain lowercase letters, numbers, _ and -' },
+                    name: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+                    priceDelta: { type: 'number', min: -100000, max: 100000, default: 0 },
+                    preparationTimeDelta: { type: 'integer', min: 0, max: 120, default: 0 },
+                    available: { type: 'boolean', default: true }
+                }
+            }
+        }
+    }
+};
+
+const menuItemSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        category: { type: 'string', required: true, minLength: 1, maxLength: 50, transform: toLowerCase },
+        price: { type: 'number', required: true, min: 1, max: 100000 },
+        description: { type: 'string', maxLength: 500, default: '' },
+        emoji: { type: 'string', maxLength: 8 },
+        preparationTime: { type: 'integer', min: 1, max: 180, default: 10 },
+        // Kitchen display station (e.g. tandoor, fryer) - defaults to the category
+        station: { type: 'string', maxLength: 50, transform: toLowerCase },
+        popular: { type: 'boolean' },
+        premium: { type: 'boolean' },
+        available: { type: 'boolean' },
+        optionGroups: { type: 'array', maxItems: 10, items: optionGroupSchema, default: () => [] },
+        lowStockThreshold: { type: 'integer', min: 0, max: 10000 }
+    }
+};
+
+// Either `quantity` (units received) or `stock` (counted total, null to stop tracking)
+const restockSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        quantity: { type: 'integer', min: 1, max: 10000 },
+        stock: { type: 'integer', min: 0, max: 100000, nullable: true },
+        note: { type: 'string', maxLength: 200 }
+    }
+};
+
+const addressSchema = {
+    type: 'object',
+    nullable: true,
+    properties: {
+        fullAddress: { type: 'string', maxLength: 500 },
+        landmark: { type: 'string', maxLength: 200 },
+        city: { type: 'string', maxLength: 100 },
+        pincode: { type: 'string', pattern: /^\d{6}$/, patternMessage: 'customerInfo.address.pincode must be a 6 digit PIN code' },
+        lat: { type: 'number', min: -90, max: 90 },
+        lng: { type: 'number', min: -180, max: 180 }
+    }
+};
+
+const couponCodeSpec = {
+    type: 'string',
+    transform: toUpperCase,
+    pattern: /^[A-Z0-9_-]{3,20}$/,
+    patternMessage: 'coupon codes are 3-20 letters, numbers, _ or -'
+};
+
+const savedAddressSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        label: { type: 'string', minLength: 1, maxLength: 40, default: 'Home' },
+        fullAddress: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+        landmark: { type: 'string', maxLength: 200 },
+        city: { type: 'string', maxLength: 100 },
+        pincode: { type: 'string', pattern: /^\d{6}$/, patternMessage: 'pincode must be a 6 digit PIN code' },
+        lat: { type: 'number', min: -90, max: 90 },
+        lng: { type: 'number', min: -180, max: 180 },
+        isDefault: { type: 'boolean' }
+    }
+};
+
+// Only id and quantity are taken from the client - names and prices come from the menu
+const orderItemsSchema = {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 50,
+    items: {
+        type: 'object',
+        required: true,
+        properties: {
+            id: { type: ['integer', 'string'], required: true },
+            quantity: { type: 'integer', required: true, min: 1, max: 50 },
+            options: {
+                type: 'array',
+                maxItems: 30,
+                items: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        groupId: { type: 'string', required: true, maxLength: 40 },
+                        optionId: { type: 'string', required: true, maxLength: 40 }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const orderSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        restaurantId: { type: 'string', maxLength: 64 },
+        items: orderItemsSchema,
+        total: { type: 'number', required: true, min: 0.01 },
+        customerInfo: {
+            type: 'object',
+            required: true,
+            properties: {
+                name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+                phone: { type: 'string', maxLength: 20 },
+                address: addressSchema,
+                // A saved address can be used instead of sending one
+                addressId: { type: 'string', maxLength: 40 }
+            }
+        },
+        paymentMethod: { type: 'string', enum: PAYMENT_METHODS, transform: toUpperCase, default: 'COD' },
+        couponCode: couponCodeSpec,
+        fulfillment: { type: 'string', enum: ['delivery', 'pickup'], transform: toLowerCase, default: 'delivery' },
+        // Start of a booked slot (see GET /api/slots) - omit for as soon as possible
+        scheduledFor: { type: 'string', maxLength: 40 },
+        // Set after the customer confirms they really want the same cart again
+        allowDuplicate: { type: 'boolean', default: false }
+    }
+};
+
+// Checkout preview - same cart and address as an order, nothing is stored
+const deliveryQuoteSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        items: orderItemsSchema,
+        address: { ...addressSchema, nullable: false, required: true }
+    }
+};
+
+// Dates and value ranges are cross-checked by lib/coupons
+const couponSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        code: { ...couponCodeSpec, required: true },
+        description: { type: 'string', maxLength: 200, default: '' },
+        type: { type: 'string', required: true, enum: ['percentage', 'flat', 'free_delivery'] },
+        value: { type: 'number', min: 0, max: 100000, default: 0 },
+        minOrderValue: { type: 'number', min: 0, max: 100000, default: 0 },
+        maxDiscount: { type: 'number', min: 1, max: 100000, nullable: true, default: null },
+        validFrom: { type: 'string', nullable: true, default: null },
+        validUntil: { type: 'string', nullable: true, default: null },
+        usageLimit: { type: 'integer', min: 1, nullable: true, default: null },
+        perCustomerLimit: { type: 'integer', min: 1, nullable: true, default: 1 },
+        categories: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50, transform: toLowerCase }, default: () => [] },
+        itemIds: { type: 'array', maxItems: 100, items: { type: 'integer' }, default: () => [] },
+        active: { type: 'boolean', default: true }
+    }
+};
+
+// Cart check for the checkout screen - address is optional but needed for
+// free-delivery coupons at restaurants with distance-based fees
+const couponValidationSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        code: { ...couponCodeSpec, required: true },
+        items: orderItemsSchema,
+        address: addressSchema
+    }
+};
+
+const orderStatusSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        status: { type: 'string', required: true, enum: Object.values(ORDER_STATUS) },
+        reason: { type: 'string', maxLength: 300 }
+    }
+};
+
+// Cancelling, requesting a cancellation or declining one all need a reason
+const cancelOrderSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        reason: { type: 'string', required: true, minLength: 3, maxLength: 300 }
+    }
+};
+
+const restaurantStatusSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        restaurantId: { type: 'string', maxLength: 64 },
+        status: { type: 'string', required: true, enum: Object.values(RESTAURANT_STATUS) },
+        reason: { type: 'string', maxLength: 200 },
+        until: { type: 'string', nullable: true, maxLength: 40 }
+    }
+};
+
+// Socket payloads
+const joinRoomSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        userType: { type: 'string', required: true, enum: ['customer', 'restaurant', 'rider'] },
+        restaurantId: { type: 'string', maxLength: 64 },
+        debug: { type: 'boolean' },
+        // Highest event seq the client has seen - missed events are replayed
+        lastSeq: { type: 'integer', min: 0 }
+    }
+};
+
+const acknowledgeOrderSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        orderId: { type: 'string', required: true, minLength: 1, maxLength: 64 }
+    }
+};
+
+const toggleItemAvailabilitySchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        itemId: { type: ['integer', 'string'], required: true },
+        // Set both to toggle a single modifier instead of the whole item
+        groupId: { type: 'string', maxLength: 40 },
+        optionId: { type: 'string', maxLength: 40 },
+        available: { type: 'boolean', required: true }
+    }
+};
+
+// Without a riderId the nearest available rider is picked
+const assignRiderSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        riderId: { type: 'string', maxLength: 64 }
+    }
+};
+
+const deliveryOtpSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        otp: { type: 'string', required: true, pattern: /^\d{4}$/, patternMessage: 'otp must be a 4 digit code' }
+    }
+};
+
+const riderLocationSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lng: { type: 'number', required: true, min: -180, max: 180 },
+        heading: { type: 'number', min: 0, max: 360 },
+        speed: { type: 'number', min: 0, max: 200 }
+    }
+};
+
+const reviewSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        rating: { type: 'integer', required: true, min: 1, max: 5 },
+        comment: { type: 'string', maxLength: 1000, default: '' },
+        items: {
+            type: 'array',
+            maxItems: 50,
+            default: () => [],
+            items: {
+                type: 'object',
+                required: true,
+                properties: {
+                    itemId: { type: 'integer', required: true },
+                    rating: { type: 'integer', required: true, min: 1, max: 5 },
+                    comment: { type: 'string', maxLength: 500, default: '' }
+                }
+            }
+        }
+    }
+};
+
+const reviewReplySchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        text: { type: 'string', required: true, minLength: 1, maxLength: 1000 }
+    }
+};
+
+const reviewModerationSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        status: { type: 'string', required: true, enum: ['published', 'hidden'] },
+        reason: { type: 'string', maxLength: 200 }
+    }
+};
+
+// Browser PushSubscription.toJSON() - endpoint plus the keys to encrypt for it
+const pushEndpointSpec = {
+    type: 'string',
+    required: true,
+    maxLength: 1000,
+    sanitize: false,
+    pattern: /^https:\/\/\S+$/,
+    patternMessage: 'endpoint must be an https URL'
+};
+
+const pushSubscriptionSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        endpoint: pushEndpointSpec,
+        keys: {
+            type: 'object',
+            required: true,
+            properties: {
+                p256dh: { type: 'string', required: true, minLength: 1, maxLength: 200, sanitize: false },
+                auth: { type: 'string', required: true, minLength: 1, maxLength: 100, sanitize: false }
+            }
+        }
+    }
+};
+
+const pushUnsubscribeSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        endpoint: pushEndpointSpec
+    }
+};
+
+const trackOrderSchema = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+
+const watchMenuSchema = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+
+module.exports = {
+    registerSchema,
+    customerProfileSchema,
+    savedAddressSchema,
+    staffSchema,
+    riderSchema,
+    restaurantSchema,
+    restaurantUpdateSchema,
+    menuItemSchema,
+    restockSchema,
+    orderSchema,
+    deliveryQuoteSchema,
+    couponSchema,
+    couponValidationSchema,
+    orderStatusSchema,
+    cancelOrderSchema,
+    restaurantStatusSchema,
+    joinRoomSchema,
+    acknowledgeOrderSchema,
+    toggleItemAvailabilitySchema,
+    trackOrderSchema,
+    watchMenuSchema,
+    reviewSchema,
+    reviewReplySchema,
+    reviewModerationSchema,
+    pushSubscriptionSchema,
+    pushUnsubscribeSchema,
+    assignRiderSchema,
+    deliveryOtpSchema,
+    riderLocationSchema
+};
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// File-backed driver - keeps the whole dataset in a single JSON file.
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a half-written data file behind.
+//
+// Every save serializes and writes the whole file synchronously (the store
+// batches changes to one save per tick). That is fine for a single restaurant's
+// data - a few MB - but the event loop stalls for longer as the file grows, so
+// prune old data or move to a database-backed driver well before ~20 MB.
+const createFileDriver = (filePath) => {
+    if (!filePath) {
+        throw new Error('File driver requires a filePath');
+    }
+
+    const resolvedPath = path.resolve(filePath);
+
+    return {
+        name: 'file',
+        filePath: resolvedPath,
+        load: () => {
+            if (!fs.existsSync(resolvedPath)) return null;
+
+            const raw = fs.readFileSync(resolvedPath, 'utf8');
+            return raw.trim() ? JSON.parse(raw) : null;
+        },
+        save: (data) => {
+            fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+
+            const tempPath = `${resolvedPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, resolvedPath);
+        }
+    };
+};
+
+module.exports = createFileDriver;
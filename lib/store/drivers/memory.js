@@ -0,0 +1,14 @@
+// In-memory driver - nothing survives a restart, which is exactly what tests want
+const createMemoryDriver = (initialData = null) => {
+    let snapshot = initialData ? JSON.stringify(initialData) : null;
+
+    return {
+        name: 'memory',
+        load: () => (snapshot ? JSON.parse(snapshot) : null),
+        save: (data) => {
+            snapshot = JSON.stringify(data);
+        }
+    };
+};
+
+module.exports = createMemoryDriver;
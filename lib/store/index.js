@@ -0,0 +1,144 @@
+const createMemoryDriver = require('./drivers/memory');
+const createFileDriver = require('./drivers/file');
+const migrations = require('./migrations');
+
+const drivers = {
+    memory: (options) => createMemoryDriver(options.initialData),
+    file: (options) => createFileDriver(options.filePath)
+};
+
+// Repositories hand out copies so callers can't mutate stored
+// documents without going through insert/update (and being persisted)
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+const createRepository = (state, name, persist) => {
+    const docs = () => state.collections[name];
+
+    return {
+        name,
+        all: () => clone(docs()),
+        findById: (id) => clone(docs().find(doc => doc.id === id)) || null,
+        find: (predicate) => clone(docs().find(predicate)) || null,
+        filter: (predicate) => clone(docs().filter(predicate)),
+        count: (predicate) => (predicate ? docs().filter(predicate).length : docs().length),
+        insert: (doc) => {
+            docs().push(clone(doc));
+            persist();
+            return clone(doc);
+        },
+        update: (id, changes) => {
+            const index = docs().findIndex(doc => doc.id === id);
+            if (index === -1) return null;
+
+            docs()[index] = { ...docs()[index], ...clone(changes) };
+            persist();
+            return clone(docs()[index]);
+        },
+        remove: (id) => {
+            const index = docs().findIndex(doc => doc.id === id);
+            if (index === -1) return null;
+
+            const removed = docs().splice(index, 1)[0];
+            persist();
+            return removed;
+        }
+    };
+};
+
+const runMigrations = (state) => {
+    const applied = [];
+
+    migrations
+        .filter(migration => migration.version > (state.meta.schemaVersion || 0))
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            migration.up(state);
+            state.meta.schemaVersion = migration.version;
+            applied.push(migration);
+        });
+
+    return applied;
+};
+
+const createStore = (options = {}) => {
+    // Accept either a registered driver name or a custom { name, load, save } object
+    let driver = options.driver;
+    if (!driver || typeof driver === 'string') {
+        const driverName = driver || 'memory';
+        const driverFactory = drivers[driverName];
+
+        if (!driverFactory) {
+            throw new Error(`Unknown store driver: ${driverName}`);
+        }
+
+        driver = driverFactory(options);
+    }
+
+    const state = driver.load() || { meta: {}, collections: {} };
+    state.meta = state.meta || {};
+    state.collections = state.collections || {};
+
+    // Drivers save the whole dataset, so mutations only mark it dirty and one
+    // write at the end of the tick covers all of them. flush() writes anything
+    // pending straight away (e.g. on shutdown).
+    let dirty = false;
+    let flushScheduled = false;
+
+    const flush = () => {
+        if (!dirty) return;
+        dirty = false;
+        driver.save(state);
+    };
+
+    const persist = () => {
+        dirty = true;
+        if (flushScheduled) return;
+
+        flushScheduled = true;
+        setImmediate(() => {
+            flushScheduled = false;
+            try {
+                flush();
+            } catch (error) {
+                // Still in memory - the next change (or shutdown) tries again
+                dirty = true;
+                console.error('❌ Failed to save data store:', error);
+            }
+        });
+    };
+
+    const applied = runMigrations(state);
+    if (applied.length > 0) {
+        applied.forEach(migration => {
+            console.log(`🗄️ Applied migration ${migration.version}: ${migration.name}`);
+        });
+        dirty = true;
+        flush();
+    }
+
+    const repositories = new Map();
+
+    return {
+        driver: driver.name,
+        schemaVersion: state.meta.schemaVersion,
+        flush,
+        collection: (name) => {
+            if (!Array.isArray(state.collections[name])) {
+                throw new Error(`Unknown collection: ${name} - add a migration that creates it`);
+            }
+            if (!repositories.has(name)) {
+                repositories.set(name, createRepository(state, name, persist));
+            }
+            return repositories.get(name);
+        },
+        meta: {
+            get: (key) => clone(state.meta[key]),
+            set: (key, value) => {
+                state.meta[key] = clone(value);
+                persist();
+            }
+        }
+    };
+};
+
+module.exports = { createStore, drivers };
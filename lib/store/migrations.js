@@ -0,0 +1,217 @@
+// Schema migrations - applied in order, each exactly once per data store.
+// Never edit a migration that has shipped; append a new one instead.
+const ensureCollections = (data, names) => {
+    names.forEach(name => {
+        if (!Array.isArray(data.collections[name])) {
+            data.collections[name] = [];
+        }
+    });
+};
+
+module.exports = [
+    {
+        version: 1,
+        name: 'create-core-collections',
+        up: (data) => {
+            ensureCollections(data, ['menuItems', 'orders', 'restaurants', 'customers', 'notifications']);
+        }
+    },
+    {
+        version: 2,
+        name: 'create-staff-collection',
+        up: (data) => {
+            ensureCollections(data, ['staff']);
+        }
+    },
+    {
+        version: 3,
+        name: 'backfill-order-status-history',
+        up: (data) => {
+            data.collections.orders.forEach(order => {
+                if (!Array.isArray(order.statusHistory)) {
+                    order.statusHistory = [{
+                        from: null,
+                        to: order.status,
+                        at: order.updatedAt || order.createdAt,
+                        by: { id: null, role: 'system', name: null },
+                        reason: 'Backfilled from legacy order'
+                    }];
+                }
+            });
+        }
+    },
+    {
+        version: 4,
+        name: 'scope-menu-and-orders-to-restaurants',
+        up: (data) => {
+            // Everything before multi-restaurant support belonged to the first outlet
+            const defaultRestaurantId = data.collections.restaurants[0]?.id || 'zaika-main';
+
+            ['menuItems', 'orders'].forEach(name => {
+                data.collections[name].forEach(doc => {
+                    if (!doc.restaurantId) {
+                        doc.restaurantId = defaultRestaurantId;
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 5,
+        name: 'add-restaurant-operating-hours',
+        up: (data) => {
+            data.collections.restaurants.forEach(restaurant => {
+                restaurant.timezone = restaurant.timezone || 'Asia/Kolkata';
+                restaurant.schedule = restaurant.schedule || null;
+                restaurant.holidays = restaurant.holidays || [];
+            });
+        }
+    },
+    {
+        version: 6,
+        name: 'add-payments',
+        up: (data) => {
+            ensureCollections(data, ['payments']);
+
+            // Legacy orders were all cash on delivery and went straight to the kitchen
+            data.collections.orders.forEach(order => {
+                if (!order.paymentStatus) {
+                    order.paymentStatus = order.status === 'delivered' ? 'paid' : 'pending';
+                }
+                if (!order.releasedAt) {
+                    order.releasedAt = order.createdAt;
+                }
+            });
+        }
+    },
+    {
+        version: 7,
+        name: 'add-menu-option-groups',
+        up: (data) => {
+            data.collections.menuItems.forEach(item => {
+                if (!Array.isArray(item.optionGroups)) {
+                    item.optionGroups = [];
+                }
+            });
+        }
+    },
+    {
+        version: 8,
+        name: 'add-inventory',
+        up: (data) => {
+            ensureCollections(data, ['inventoryLog']);
+
+            // Existing items stay untracked until staff record a stock count
+            data.collections.menuItems.forEach(item => {
+                if (item.stock === undefined) {
+                    item.stock = null;
+                }
+                if (item.lowStockThreshold === undefined) {
+                    item.lowStockThreshold = 5;
+                }
+                item.soldOut = Boolean(item.soldOut);
+            });
+        }
+    },
+    {
+        version: 9,
+        name: 'add-riders-and-deliveries',
+        up: (data) => {
+            ensureCollections(data, ['riders', 'deliveries']);
+
+            // Restaurant coordinates are needed to find the nearest rider
+            data.collections.restaurants.forEach(restaurant => {
+                if (restaurant.location === undefined) {
+                    restaurant.location = null;
+                }
+            });
+        }
+    },
+    {
+        version: 10,
+        name: 'add-delivery-zones',
+        up: (data) => {
+            // No zone and no fee settings keeps the old flat delivery fee
+            data.collections.restaurants.forEach(restaurant => {
+                restaurant.deliveryZone = restaurant.deliveryZone || null;
+                restaurant.deliveryFees = restaurant.deliveryFees || null;
+            });
+        }
+    },
+    {
+        version: 11,
+        name: 'add-coupons',
+        up: (data) => {
+            ensureCollections(data, ['coupons', 'couponRedemptions']);
+
+            data.collections.orders.forEach(order => {
+                if (order.discount === undefined) {
+                    order.discount = null;
+                }
+            });
+        }
+    },
+    {
+        version: 12,
+        name: 'add-customer-addresses',
+        up: (data) => {
+            data.collections.customers.forEach(customer => {
+                if (!Array.isArray(customer.addresses)) {
+                    customer.addresses = [];
+                }
+            });
+        }
+    },
+    {
+        version: 13,
+        name: 'add-reviews',
+        up: (data) => {
+            ensureCollections(data, ['reviews']);
+
+            // Ratings used to be hard-coded - from now on they come from real reviews
+            data.collections.menuItems.forEach(item => {
+                if (item.ratingCount === undefined) {
+                    item.rating = null;
+                    item.ratingCount = 0;
+                }
+            });
+            data.collections.restaurants.forEach(restaurant => {
+                if (restaurant.ratingCount === undefined) {
+                    restaurant.rating = null;
+                    restaurant.ratingCount = 0;
+                }
+            });
+        }
+    },
+    {
+        version: 14,
+        name: 'add-push-subscriptions',
+        up: (data) => {
+            ensureCollections(data, ['notifications', 'pushSubscriptions']);
+        }
+    },
+    {
+        version: 15,
+        name: 'add-refunds',
+        up: (data) => {
+            ensureCollections(data, ['refunds']);
+        }
+    },
+    {
+        version: 16,
+        name: 'add-idempotency-keys',
+        up: (data) => {
+            ensureCollections(data, ['idempotencyKeys']);
+        }
+    },
+    {
+        version: 17,
+        name: 'drop-stored-auth-secret',
+        up: (data) => {
+            // The session secret now only comes from AUTH_SECRET
+            delete data.meta.authSecret;
+        }
+    }
+];
+
+module.exports.ensureCollections = ensureCollections;
@@ -0,0 +1,156 @@
+// Declarative payload validation shared by HTTP routes and socket handlers.
+//
+// A schema is a field spec:
+//   { type, required, nullable, default, enum, min, max, minLength, maxLength,
+//     pattern, transform, sanitize, properties (objects), items, minItems, maxItems (arrays) }
+// `type` may be an array of types. Unknown object properties are stripped, strings
+// are sanitized unless `sanitize: false`, and errors come back as { field, message }.
+
+const sanitizeString = (str) => {
+    if (typeof str !== 'string') return str;
+    return str.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+        .replace(/[<>]/g, '')
+        .trim();
+};
+
+const typeChecks = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value)
+};
+
+const describeTypes = (types) => types.join(' or ');
+
+const validateValue = (spec, value, field, errors, options) => {
+    const label = field || 'payload';
+
+    if (value === undefined) {
+        if (spec.default !== undefined && !options.partial) {
+            return typeof spec.default === 'function' ? spec.default() : spec.default;
+        }
+        if (spec.required && !options.partial) {
+            errors.push({ field: label, message: `${label} is required` });
+        }
+        return undefined;
+    }
+
+    if (value === null) {
+        if (!spec.nullable) {
+            errors.push({ field: label, message: `${label} must not be null` });
+        }
+        return null;
+    }
+
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+    if (spec.type && !types.some(type => typeChecks[type](value))) {
+        errors.push({ field: label, message: `${label} must be a ${describeTypes(types)}` });
+        return undefined;
+    }
+
+    let result = value;
+
+    if (typeof result === 'string') {
+        if (spec.sanitize !== false) result = sanitizeString(result);
+        if (spec.transform) result = spec.transform(result);
+
+        if (spec.minLength !== undefined && result.length < spec.minLength) {
+            errors.push({
+                field: label,
+                message: spec.minLength === 1 ? `${label} must not be empty` : `${label} must be at least ${spec.minLength} characters`
+            });
+        }
+        if (spec.maxLength !== undefined && result.length > spec.maxLength) {
+            errors.push({ field: label, message: `${label} must be at most ${spec.maxLength} characters` });
+        }
+        if (spec.pattern && !spec.pattern.test(result)) {
+            errors.push({ field: label, message: spec.patternMessage || `${label} has an invalid format` });
+        }
+    } else if (spec.transform) {
+        result = spec.transform(result);
+    }
+
+    if (typeof result === 'number') {
+        if (spec.min !== undefined && result < spec.min) {
+            errors.push({ field: label, message: `${label} must be at least ${spec.min}` });
+        }
+        if (spec.max !== undefined && result > spec.max) {
+            errors.push({ field: label, message: `${label} must be at most ${spec.max}` });
+        }
+    }
+
+    if (spec.enum && !spec.enum.includes(result)) {
+        errors.push({ field: label, message: `${label} must be one of: ${spec.enum.join(', ')}` });
+    }
+
+    if (Array.isArray(result)) {
+        if (spec.minItems !== undefined && result.length < spec.minItems) {
+            errors.push({
+                field: label,
+                message: spec.minItems === 1 ? `${label} must not be empty` : `${label} must have at least ${spec.minItems} entries`
+            });
+        }
+        if (spec.maxItems !== undefined && result.length > spec.maxItems) {
+            errors.push({ field: label, message: `${label} must have at most ${spec.maxItems} entries` });
+        }
+        if (spec.items) {
+            result = result.map((entry, index) => validateValue(spec.items, entry, `${label}[${index}]`, errors, options));
+        }
+    } else if (typeChecks.object(result) && spec.properties) {
+        const cleaned = {};
+        Object.entries(spec.properties).forEach(([key, propertySpec]) => {
+            const propertyValue = validateValue(
+                propertySpec,
+                result[key],
+                field ? `${field}.${key}` : key,
+                errors,
+                // partial only relaxes the top level - nested objects are replaced whole
+                { ...options, partial: options.partial && !field }
+            );
+            if (propertyValue !== undefined) {
+                cleaned[key] = propertyValue;
+            }
+        });
+        result = cleaned;
+    }
+
+    return result;
+};
+
+// Returns { errors, value } - value holds only declared, cleaned fields.
+// `partial: true` (for updates) skips required checks and defaults at the top level.
+const validate = (schema, data, options = {}) => {
+    const errors = [];
+    const value = validateValue(schema, data, '', errors, { partial: Boolean(options.partial) });
+    return { errors, value: errors.length > 0 ? null : value };
+};
+
+const sendValidationError = (res, errors) => res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+});
+
+// Express middleware - replaces req.body with the validated value or answers 400
+const validateBody = (schema, options = {}) => (req, res, next) => {
+    const { errors, value } = validate(schema, req.body ?? {}, options);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+
+    if (options.partial && Object.keys(value).length === 0) {
+        return sendValidationError(res, [{ field: 'payload', message: 'No updatable fields provided' }]);
+    }
+
+    req.body = value;
+    next();
+};
+
+module.exports = {
+    sanitizeString,
+    validate,
+    validateBody,
+    sendValidationError
+};
@@ -1,8 +1,134 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
+const { createStore } = require('./lib/store');
+const { roundCurrency, priceOrder, applyDeliveryQuote, applyPickup, applyDiscount, totalsMatch } = require('./lib/pricing');
+const { validateDeliverySettings, quoteDelivery } = require('./lib/deliveryZones');
+const { validateCouponSettings, evaluateCoupon } = require('./lib/coupons');
+const { buildReorder } = require('./lib/reorder');
+const { REVIEW_STATUS, validateItemRatings, summarizeItemRatings, summarizeOrderRatings } = require('./lib/reviews');
+const {
+    countsAsRevenue,
+    localDateOf,
+    parseReportQuery,
+    filterByLocalDate,
+    revenueSeries,
+    topItems,
+    topCategories,
+    buildReport,
+    toCsv
+} = require('./lib/analytics');
+const {
+    ORDER_STATUS,
+    FULFILLMENT,
+    toActor,
+    createHistoryEntry,
+    transitionOrder,
+    getAllowedTransitions,
+    canTransition,
+    isFinalStatus
+} = require('./lib/orderLifecycle');
+const {
+    PAYMENT_STATUS,
+    PAYMENT_METHODS,
+    DEFAULT_PAYMENT_TIMEOUT_MINUTES,
+    EVENT_STATUS,
+    isOnlinePaymentMethod,
+    canChangePaymentStatus,
+    createGateway
+} = require('./lib/payments');
+const { parseOrderQuery, queryOrders } = require('./lib/orderQuery');
+const {
+    CANCELLATION_STATUS,
+    REFUND_STATUS,
+    cancellationPolicy,
+    hasPendingRequest,
+    findCapturedPayment,
+    buildCancellation,
+    toRefundSnapshot
+} = require('./lib/cancellation');
+const { validateOptionGroups, resolveSelections } = require('./lib/modifiers');
+const { DEFAULT_LOW_STOCK_THRESHOLD, isTracked, isLowStock, createInventory } = require('./lib/inventory');
+const {
+    RIDER_STATUS,
+    DELIVERY_STATUS,
+    generateOtp,
+    isActiveDelivery,
+    verifyDeliveryOtp,
+    rankRiders,
+    createLocationThrottle
+} = require('./lib/delivery');
+const { sanitizeString, validate, validateBody, sendValidationError } = require('./lib/validation');
+const {
+    registerSchema,
+    customerProfileSchema,
+    savedAddressSchema,
+    staffSchema,
+    riderSchema,
+    restaurantSchema,
+    restaurantUpdateSchema,
+    menuItemSchema,
+    restockSchema,
+    orderSchema,
+    deliveryQuoteSchema,
+    couponSchema,
+    couponValidationSchema,
+    orderStatusSchema,
+    cancelOrderSchema,
+    restaurantStatusSchema,
+    joinRoomSchema,
+    acknowledgeOrderSchema,
+    toggleItemAvailabilitySchema,
+    trackOrderSchema,
+    watchMenuSchema,
+    reviewSchema,
+    reviewReplySchema,
+    reviewModerationSchema,
+    pushSubscriptionSchema,
+    pushUnsubscribeSchema,
+    assignRiderSchema,
+    deliveryOtpSchema,
+    riderLocationSchema
+} = require('./lib/schemas');
+const { DEFAULT_TIMEZONE, RESTAURANT_STATUS, getAvailability, validateOperatingHours } = require('./lib/openingHours');
+const { ROOMS, restaurantRoom, customerRoom, riderRoom, orderRoom, menuRoom } = require('./lib/rooms');
+const { NOTIFICATION_EVENTS, DEFAULT_NOTIFICATION_RETENTION_DAYS, createChannel, createNotifier } = require('./lib/notifications');
+const { createEventLog } = require('./lib/eventLog');
+const { createOrderId, createOrderNumberer } = require('./lib/orderNumbering');
+const { DEFAULT_DUPLICATE_WINDOW_SECONDS, createIdempotency, cartFingerprint } = require('./lib/idempotency');
+const { leadMinutesFor, releaseAtFor, isHeld, listSlots, resolveSlot } = require('./lib/scheduling');
+const {
+    isQueued,
+    getParallelCapacity,
+    cookMinutes,
+    handoffMinutes,
+    planKitchenQueue,
+    toEta,
+    isRunningLate,
+    buildKitchenDisplay
+} = require('./lib/kitchen');
+const {
+    DEFAULT_ACK_TIMEOUT_SECONDS,
+    MAX_REALERTS,
+    ALERT_ACTION,
+    nextAlertAction,
+    createAckTracker
+} = require('./lib/orderAlerts');
+const { createRateLimitStore, resolveRules, createRateLimiter, httpLimit, socketLimit } = require('./lib/rateLimit');
+const {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    toPublicUser,
+    isPlatformAdmin,
+    canManageRestaurant,
+    createAuth
+} = require('./lib/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -17,24 +143,74 @@ const io = socketIo(server, {
         credentials: true
     },
     transports: ['websocket', 'polling'],
+    maxHttpBufferSize: 100 * 1024, // per-event caps are tighter - see lib/rateLimit
     pingTimeout: 60000,
     pingInterval: 25000
 });
 
 const PORT = process.env.PORT || 8000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const STORE_DRIVER = process.env.STORE_DRIVER || (NODE_ENV === 'test' ? 'memory' : 'file');
+// Kept outside the app directory - nothing under it may ever be served
+const STORE_FILE = process.env.STORE_FILE || path.join(os.homedir(), '.zaika-junction', 'zaika.json');
+const LEGACY_STORE_FILE = path.join(__dirname, 'data', 'zaika.json');
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const DEFAULT_RESTAURANT_ID = process.env.DEFAULT_RESTAURANT_ID || 'zaika-main';
+// Production must name its gateway - silently taking payments through the mock would accept forged webhooks
+if (NODE_ENV === 'production' && !process.env.PAYMENT_GATEWAY) {
+    throw new Error('PAYMENT_GATEWAY must be set in production');
+}
+const PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY || 'mock';
+// Sessions are signed with AUTH_SECRET - it never goes into the data store, where a
+// leaked backup would let anyone mint staff tokens
+if (NODE_ENV === 'production' && !process.env.AUTH_SECRET) {
+    throw new Error('AUTH_SECRET must be set in production');
+}
+const ORDER_ACK_TIMEOUT_SECONDS = Number(process.env.ORDER_ACK_TIMEOUT_SECONDS) || DEFAULT_ACK_TIMEOUT_SECONDS;
+const DUPLICATE_ORDER_WINDOW_SECONDS = Number(process.env.DUPLICATE_ORDER_WINDOW_SECONDS) || DEFAULT_DUPLICATE_WINDOW_SECONDS;
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES) || DEFAULT_PAYMENT_TIMEOUT_MINUTES;
+const NOTIFICATION_RETENTION_DAYS = Number(process.env.NOTIFICATION_RETENTION_DAYS) || DEFAULT_NOTIFICATION_RETENTION_DAYS;
+const BODY_LIMIT = process.env.BODY_LIMIT || '100kb';
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+// Proxy hops in front of the app (Render adds one) - needed to rate limit real client IPs
+const TRUST_PROXY = process.env.TRUST_PROXY
+    ? (process.env.TRUST_PROXY === 'true' || Number(process.env.TRUST_PROXY) || false)
+    : (NODE_ENV === 'production' ? 1 : false);
+app.set('trust proxy', TRUST_PROXY);
+
+// RATE_LIMITS='{"orders":{"user":5}}' tightens or loosens individual rules
+const parseRateLimitOverrides = () => {
+    try {
+        return JSON.parse(process.env.RATE_LIMITS || '{}');
+    } catch (error) {
+        console.warn('⚠️ Ignoring RATE_LIMITS - it is not valid JSON');
+        return {};
+    }
+};
+const rateLimiter = createRateLimiter({
+    store: createRateLimitStore(RATE_LIMIT_STORE),
+    rules: resolveRules(parseRateLimitOverrides())
+});
+const limit = (ruleName) => httpLimit(rateLimiter, ruleName);
 
 // Security and Performance Middleware
 app.use(cors({
     origin: process.env.NODE_ENV === 'production'
         ? ["https://zaika-mhby.onrender.com"]
         : "*",
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Idempotent-Replayed', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
-// Body parsing with limits
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing with limits - the raw body is kept for webhook signature checks
+app.use(express.json({
+    limit: BODY_LIMIT,
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT }));
 
 // Security headers
 app.use((req, res, next) => {
@@ -48,8 +224,8 @@ app.use((req, res, next) => {
     next();
 });
 
-// Static file serving with caching - serve all files from root
-app.use(express.static('.', {
+// Static file serving with caching - only the client pages in public/
+app.use(express.static(PUBLIC_DIR, {
     maxAge: NODE_ENV === 'production' ? '1d' : '0',
     etag: true,
     index: false // Don't serve index.html automatically
@@ -62,17 +238,227 @@ app.use((req, res, next) => {
     next();
 });
 
-// In-memory data storage (in production, use a database)
-let orders = [];
-let menuItems = [];
-let restaurants = [];
-let customers = [];
-let notifications = [];
+// Older installs kept their data inside the app directory, where the static
+// handler served it - move it to the new default location on first start
+if (STORE_DRIVER === 'file' && !process.env.STORE_FILE && fs.existsSync(LEGACY_STORE_FILE) && !fs.existsSync(STORE_FILE)) {
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    fs.copyFileSync(LEGACY_STORE_FILE, STORE_FILE);
+    fs.unlinkSync(LEGACY_STORE_FILE);
+    console.log(`🗄️ Moved data store from ${LEGACY_STORE_FILE} to ${STORE_FILE}`);
+}
+
+// Persistent data storage - driver is picked via STORE_DRIVER (file | memory)
+const store = createStore({ driver: STORE_DRIVER, filePath: STORE_FILE });
+const menuRepo = store.collection('menuItems');
+const orderRepo = store.collection('orders');
+const restaurantRepo = store.collection('restaurants');
+const customerRepo = store.collection('customers');
+const notificationRepo = store.collection('notifications');
+const staffRepo = store.collection('staff');
+const paymentRepo = store.collection('payments');
+const refundRepo = store.collection('refunds');
+const idempotencyRepo = store.collection('idempotencyKeys');
+const inventoryLogRepo = store.collection('inventoryLog');
+const riderRepo = store.collection('riders');
+const deliveryRepo = store.collection('deliveries');
+const couponRepo = store.collection('coupons');
+const couponRedemptionRepo = store.collection('couponRedemptions');
+const reviewRepo = store.collection('reviews');
+const pushSubscriptionRepo = store.collection('pushSubscriptions');
 const connectedUsers = new Map();
+const riderLocationThrottle = createLocationThrottle();
+
+const inventory = createInventory({ menuRepo, inventoryLogRepo });
+
+// Payment gateway - the mock gateway needs no credentials and works offline
+const paymentGateway = createGateway(PAYMENT_GATEWAY, {
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+    allowDefaultSecret: NODE_ENV !== 'production'
+});
+
+// Notifications - stored per recipient, then fanned out over socket, Web Push,
+// SMS and email. SMS and email use local stub transports until a provider is wired in.
+const notificationChannels = {
+    socket: createChannel('socket', { io }),
+    push: createChannel('push', {
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject: process.env.VAPID_SUBJECT,
+        onExpired: (subscription) => pushSubscriptionRepo.remove(subscription.id)
+    }),
+    sms: createChannel('sms'),
+    email: createChannel('email')
+};
+
+const recipientRooms = {
+    customer: customerRoom,
+    restaurant: restaurantRoom,
+    rider: riderRoom
+};
+
+const recipientRepos = {
+    customer: customerRepo,
+    restaurant: restaurantRepo,
+    rider: riderRepo
+};
+
+const resolveRecipient = (type, id) => {
+    const record = recipientRepos[type].findById(id) || {};
+    return {
+        type,
+        id,
+        room: recipientRooms[type](id),
+        phone: record.phone || null,
+        email: record.email || null,
+        pushSubscriptions: pushSubscriptionRepo.filter(subscription =>
+            subscription.recipientType === type && subscription.recipientId === id
+        )
+    };
+};
+
+const notifier = createNotifier({
+    repo: notificationRepo,
+    channels: notificationChannels,
+    resolveRecipient,
+    retentionMs: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000
+});
+
+// Inbox history is kept for NOTIFICATION_RETENTION_DAYS, swept hourly and at startup
+const notificationSweepTimer = setInterval(() => {
+    try {
+        notifier.prune();
+    } catch (error) {
+        console.error('❌ Error pruning old notifications:', error);
+    }
+}, 60 * 60 * 1000);
+notificationSweepTimer.unref();
+notifier.prune();
+
+// Sequenced socket events - kept for replay after a reconnect. The stored value
+// is the end of the block of sequence numbers handed out so far, so numbering
+// keeps increasing across restarts without a store write per event.
+const eventLog = createEventLog({
+    initialSequence: store.meta.get('eventSequence') || 0,
+    onReserve: (ceiling) => store.meta.set('eventSequence', ceiling)
+});
+
+// "#14" style order numbers, per restaurant and day. Restaurants without a
+// counter yet carry on from the highest number already used today.
+const orderNumberer = createOrderNumberer({
+    load: () => store.meta.get('orderCounters'),
+    save: (counters) => store.meta.set('orderCounters', counters),
+    seed: (restaurantId, date) => {
+        const { timezone } = restaurantRepo.findById(restaurantId);
+        return orderRepo
+            .filter(order => order.restaurantId === restaurantId &&
+                (order.orderDate || localDateOf(order.createdAt, timezone)) === date)
+            .reduce((highest, order) => Math.max(highest, order.orderNumber || 0), 0);
+    }
+});
 
-// Sample data initialization
+// Stored responses for Idempotency-Key retries, swept hourly once they expire
+const idempotency = createIdempotency({ repo: idempotencyRepo });
+const idempotencySweepTimer = setInterval(() => {
+    try {
+        idempotency.prune();
+    } catch (error) {
+        console.error('❌ Error pruning expired idempotency keys:', error);
+    }
+}, 60 * 60 * 1000);
+idempotencySweepTimer.unref();
+
+// Carts currently waiting on the payment gateway, so a double tap can't slip
+// past the duplicate check while the first checkout is still in flight
+const checkoutsInFlight = new Set();
+
+// Slots claimed by checkouts waiting on the payment gateway, counted like stored
+// orders so a slot can't be oversold while the gateway answers
+const slotHolds = new Map();
+const slotHoldKey = (restaurantId, slotStart) => `${restaurantId}:${slotStart}`;
+
+const holdSlot = (restaurantId, slotStart) => {
+    const key = slotHoldKey(restaurantId, slotStart);
+    slotHolds.set(key, (slotHolds.get(key) || 0) + 1);
+};
+
+const releaseSlotHold = (restaurantId, slotStart) => {
+    const key = slotHoldKey(restaurantId, slotStart);
+    const remaining = (slotHolds.get(key) || 0) - 1;
+    if (remaining > 0) {
+        slotHolds.set(key, remaining);
+    } else {
+        slotHolds.delete(key);
+    }
+};
+
+// The customer's live order with the same cart placed within the duplicate window
+const findRecentDuplicate = (customerId, fingerprint, now = Date.now()) => orderRepo.find(order =>
+    order.customerId === customerId && order.cartFingerprint === fingerprint &&
+    ![ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED].includes(order.status) &&
+    now - new Date(order.createdAt).getTime() < DUPLICATE_ORDER_WINDOW_SECONDS * 1000
+);
+
+// New orders must be acknowledged by the kitchen - see handleUnacknowledgedOrder
+const orderAckTracker = createAckTracker({
+    timeoutMs: ORDER_ACK_TIMEOUT_SECONDS * 1000,
+    onTimeout: (orderId) => handleUnacknowledgedOrder(orderId)
+});
+
+// Session signing secret - outside production a missing AUTH_SECRET gets a
+// throwaway one, so sessions end whenever the server restarts
+const getAuthSecret = () => {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+    console.warn('⚠️ AUTH_SECRET is not set - using a random secret, sessions will not survive a restart');
+    return crypto.randomBytes(32).toString('hex');
+};
+
+const userRepos = {
+    [ROLES.CUSTOMER]: customerRepo,
+    [ROLES.RESTAURANT]: staffRepo,
+    [ROLES.RIDER]: riderRepo
+};
+
+const findUser = (role, id) => {
+    const repo = userRepos[role];
+    return repo ? toPublicUser(repo.findById(id)) : null;
+};
+
+const auth = createAuth({ secret: getAuthSecret(), findUser });
+const { requireRole } = auth;
+
+app.use(auth.authenticate);
+io.use(auth.socketMiddleware);
+
+// Overall per-IP/per-user budget for the API; busy routes add their own rule on
+// top. Gateway webhooks are exempt - they are signed and retried by the gateway.
+app.use('/api', httpLimit(rateLimiter, 'api', { skip: (req) => req.path === '/payments/webhook' }));
+
+// Same idea for socket events, following `trust proxy` for the client address
+const socketIp = (socket) => {
+    const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    if (!TRUST_PROXY || forwarded.length === 0) {
+        return socket.handshake.address;
+    }
+
+    const chain = [...forwarded, socket.handshake.address];
+    const hops = TRUST_PROXY === true ? chain.length - 1 : Math.min(TRUST_PROXY, chain.length - 1);
+    return chain[chain.length - 1 - hops];
+};
+const limitSocketEvents = socketLimit(rateLimiter, { ipOf: socketIp });
+
+// Sample data - seeded once into an empty store, never on later restarts
 const initializeData = () => {
-    menuItems = [
+    if (store.meta.get('seededAt')) {
+        return;
+    }
+
+    const menuItems = [
         {
             id: 1,
             name: "Gulab Jamun",
@@ -80,7 +466,6 @@ const initializeData = () => {
             price: 120,
             description: "Soft, spongy balls soaked in aromatic sugar syrup",
             emoji: "🍯",
-            rating: 4.8,
             popular: true,
             available: true,
             preparationTime: 15
@@ -92,7 +477,6 @@ const initializeData = () => {
             price: 100,
             description: "Spongy cottage cheese balls in light sugar syrup",
             emoji: "🥛",
-            rating: 4.6,
             available: true,
             preparationTime: 10
         },
@@ -103,10 +487,22 @@ const initializeData = () => {
             price: 300,
             description: "Premium cashew fudge with silver leaf",
             emoji: "💎",
-            rating: 4.9,
             premium: true,
             available: true,
-            preparationTime: 20
+            preparationTime: 20,
+            optionGroups: [
+                {
+                    id: 'pack-size',
+                    name: 'Pack size',
+                    required: false,
+                    minSelections: 0,
+                    maxSelections: 1,
+                    options: [
+                        { id: 'half-kg', name: '500 g box', priceDelta: 280, preparationTimeDelta: 5, available: true },
+                        { id: 'full-kg', name: '1 kg box', priceDelta: 840, preparationTimeDelta: 10, available: true }
+                    ]
+                }
+            ]
         },
         {
             id: 4,
@@ -115,9 +511,21 @@ const initializeData = () => {
             price: 25,
             description: "Crispy triangular pastry with spiced potato filling",
             emoji: "🥟",
-            rating: 4.5,
             available: true,
-            preparationTime: 8
+            preparationTime: 8,
+            optionGroups: [
+                {
+                    id: 'extras',
+                    name: 'Extras',
+                    required: false,
+                    minSelections: 0,
+                    maxSelections: 2,
+                    options: [
+                        { id: 'imli-chutney', name: 'Extra imli chutney', priceDelta: 10, preparationTimeDelta: 0, available: true },
+                        { id: 'green-chutney', name: 'Extra green chutney', priceDelta: 10, preparationTimeDelta: 0, available: true }
+                    ]
+                }
+            ]
         },
         {
             id: 5,
@@ -126,447 +534,3865 @@ const initializeData = () => {
             price: 40,
             description: "Mumbai street food with puffed rice and chutneys",
             emoji: "🥗",
-            rating: 4.3,
             available: true,
             preparationTime: 5
         }
     ];
 
-    restaurants = [
+    const restaurants = [
         {
-            id: 'zaika-main',
+            id: DEFAULT_RESTAURANT_ID,
             name: 'Zaika Junction',
             address: 'MG Road, Delhi',
             phone: '+91 98765 43210',
             email: 'orders@zaikajunction.com',
             status: 'open',
             openTime: '09:00',
-            closeTime: '22:00'
+            closeTime: '22:00',
+            timezone: DEFAULT_TIMEZONE,
+            schedule: null,
+            holidays: [],
+            location: null,
+            deliveryZone: null,
+            deliveryFees: null,
+            rating: null,
+            ratingCount: 0
         }
     ];
+
+    menuItems.forEach(item => menuRepo.insert({
+        optionGroups: [],
+        stock: null,
+        lowStockThreshold: DEFAULT_LOW_STOCK_THRESHOLD,
+        soldOut: false,
+        rating: null,
+        ratingCount: 0,
+        ...item,
+        restaurantId: DEFAULT_RESTAURANT_ID
+    }));
+    restaurants.forEach(restaurant => restaurantRepo.insert(restaurant));
+    store.meta.set('seededAt', new Date().toISOString());
+
+    console.log(`🌱 Seeded ${menuItems.length} menu items and ${restaurants.length} restaurant(s)`);
+};
+
+// First restaurant account comes from the environment - there is no open staff signup.
+// It has no restaurantId, which makes it a platform admin for every outlet.
+const bootstrapStaffAccount = () => {
+    const email = process.env.RESTAURANT_ADMIN_EMAIL;
+    const password = process.env.RESTAURANT_ADMIN_PASSWORD;
+
+    if (!email || !password || staffRepo.count() > 0) {
+        return;
+    }
+
+    staffRepo.insert({
+        id: `staff_${crypto.randomBytes(6).toString('hex')}`,
+        role: ROLES.RESTAURANT,
+        name: 'Restaurant Admin',
+        email: email.toLowerCase(),
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+    });
+
+    console.log(`🔐 Created restaurant admin account: ${email}`);
 };
 
 // Utility functions
-const validateOrderData = (orderData) => {
+const normalizePhone = (phone) => String(phone).replace(/\s/g, '');
+
+// Validates a socket payload, sending structured errors back to the sender on failure
+const parseSocketPayload = (socket, event, schema, data) => {
+    const { errors, value } = validate(schema, data);
+    if (errors.length > 0) {
+        socket.emit('error', { message: `Invalid ${event} payload`, event, errors });
+        return null;
+    }
+    return value;
+};
+
+// Emits an event that clients can get replayed after a reconnect - the payload
+// is stamped with its sequence number
+const emitSequenced = (rooms, event, payload) => {
+    const entry = eventLog.record(rooms, event, payload);
+    return io.to(rooms).emit(event, entry.payload);
+};
+
+// Menu ids are numeric but may arrive as strings from JSON bodies or URLs
+const findMenuItem = (id) => menuRepo.findById(Number(id));
+
+// Minutes to prepare one unit of an order line
+const prepTimeOf = (line) => {
+    const menuItem = findMenuItem(line.id);
+    // Modifiers like a bigger pack size add to the item's own preparation time
+    const optionTime = menuItem ? resolveSelections(menuItem, line.options).preparationTimeDelta : 0;
+    return (menuItem?.preparationTime || 10) + optionTime;
+};
+
+// Kitchen display stations default to the item's category
+const stationOf = (line) => {
+    const menuItem = findMenuItem(line.id);
+    return menuItem ? (menuItem.station || menuItem.category) : null;
+};
+
+const kitchenOrders = (restaurantId) => orderRepo.filter(order => order.restaurantId === restaurantId && isQueued(order));
+
+// Minutes until a new order would reach the customer, queued behind everything
+// the kitchen already has on
+const calculateEstimatedTime = (restaurant, items, fulfillment = FULFILLMENT.DELIVERY) => {
+    const now = new Date();
+    const candidate = {
+        id: null,
+        status: ORDER_STATUS.PENDING,
+        fulfillment,
+        items,
+        releasedAt: now.toISOString(),
+        createdAt: now.toISOString()
+    };
+
+    const plan = planKitchenQueue([...kitchenOrders(restaurant.id), candidate], {
+        capacity: getParallelCapacity(restaurant),
+        prepTimeOf,
+        now
+    });
+
+    return toEta(candidate, plan.find(entry => entry.orderId === null)).estimatedTime;
+};
+
+const getRestaurantMenu = (restaurantId) => menuRepo.filter(item => item.restaurantId === restaurantId);
+
+const slugify = (value) => String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Resolves :restaurantId (or the default outlet for legacy routes) onto req.restaurant
+const resolveRestaurant = (req, res, next) => {
+    const restaurant = restaurantRepo.findById(req.params.restaurantId || DEFAULT_RESTAURANT_ID);
+    if (!restaurant) {
+        return res.status(404).json({
+            success: false,
+            message: 'Restaurant not found'
+        });
+    }
+
+    req.restaurant = restaurant;
+    next();
+};
+
+// Must run after resolveRestaurant - staff may only manage their own outlet
+const requireRestaurantStaff = (req, res, next) => requireRole(ROLES.RESTAURANT)(req, res, () => {
+    if (!canManageRestaurant(req.user, req.restaurant.id)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to manage this restaurant'
+        });
+    }
+    next();
+});
+
+// Public view of a restaurant, with whether it is taking orders right now
+const withAvailability = (restaurant) => ({
+    ...restaurant,
+    availability: getAvailability(restaurant)
+});
+
+const MAX_TIMER_DELAY = 2147483647;
+const restaurantStatusTimers = new Map();
+
+// Manual busy/paused mode - shared by the HTTP API and the socket event.
+// Returns { errors, restaurant } and broadcasts the change to every client.
+const setRestaurantStatus = (restaurant, { status, reason, until }, actor) => {
     const errors = [];
 
-    if (!orderData.items || !Array.isArray(orderData.items) || orderData.items.length === 0) {
-        errors.push('Items are required and must be a non-empty array');
+    if (!Object.values(RESTAURANT_STATUS).includes(status)) {
+        errors.push({ field: 'status', message: `status must be one of: ${Object.values(RESTAURANT_STATUS).join(', ')}` });
+    }
+    if (until !== undefined && until !== null && Number.isNaN(new Date(until).getTime())) {
+        errors.push({ field: 'until', message: 'until must be a valid date' });
+    }
+    if (errors.length > 0) {
+        return { errors, restaurant: null };
+    }
+
+    const isOpen = status === RESTAURANT_STATUS.OPEN;
+    const updatedRestaurant = restaurantRepo.update(restaurant.id, {
+        status,
+        statusReason: isOpen ? null : (sanitizeString(reason) || null),
+        pausedUntil: isOpen || !until ? null : new Date(until).toISOString(),
+        statusChangedBy: actor,
+        updatedAt: new Date().toISOString()
+    });
+
+    broadcastRestaurantStatus(updatedRestaurant);
+
+    // Let customers know as soon as a timed pause lifts itself (setTimeout can't
+    // wait longer than ~24 days; availability is still computed correctly after that)
+    clearTimeout(restaurantStatusTimers.get(restaurant.id));
+    const delay = updatedRestaurant.pausedUntil
+        ? new Date(updatedRestaurant.pausedUntil).getTime() - Date.now()
+        : null;
+    if (delay !== null && delay <= MAX_TIMER_DELAY) {
+        const timer = setTimeout(() => {
+            restaurantStatusTimers.delete(restaurant.id);
+            try {
+                const current = restaurantRepo.findById(restaurant.id);
+                if (current) broadcastRestaurantStatus(current);
+            } catch (error) {
+                console.error(`❌ Error announcing the end of ${restaurant.id}'s pause:`, error);
+            }
+        }, Math.max(delay, 0));
+        timer.unref();
+        restaurantStatusTimers.set(restaurant.id, timer);
     }
 
-    if (typeof orderData.total !== 'number' || orderData.total <= 0) {
-        errors.push('Total must be a positive number');
+    console.log(`🏪 Restaurant ${restaurant.id} status set to ${status} by ${actor.id}`);
+
+    return { errors, restaurant: updatedRestaurant };
+};
+
+const broadcastRestaurantStatus = (restaurant) => {
+    io.emit('restaurantStatusChanged', {
+        restaurantId: restaurant.id,
+        status: restaurant.status,
+        reason: restaurant.statusReason || null,
+        until: restaurant.pausedUntil || null,
+        availability: getAvailability(restaurant),
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Coupon helpers - codes are unique per restaurant
+const findCoupon = (restaurantId, code) => couponRepo.find(coupon =>
+    coupon.restaurantId === restaurantId && coupon.code === code
+);
+
+// Redemptions of cancelled or rejected orders are voided and no longer count
+const liveRedemptions = (couponId) => couponRedemptionRepo.filter(redemption =>
+    redemption.couponId === couponId && !redemption.voidedAt
+);
+
+// Applies a coupon code to a priced cart -> { errors, pricing }. No code, no change.
+const applyCoupon = (restaurant, pricing, code, customerId) => {
+    if (!code) {
+        return { errors: [], pricing };
     }
 
-    if (!orderData.customerInfo || !orderData.customerInfo.name) {
-        errors.push('Customer name is required');
+    const coupon = findCoupon(restaurant.id, code);
+    if (!coupon) {
+        return { errors: [{ field: 'couponCode', message: `Coupon ${code} does not exist` }], pricing: null };
     }
 
-    orderData.items?.forEach((item, index) => {
-        if (!item.name || typeof item.name !== 'string') {
-            errors.push(`Item ${index + 1}: name is required`);
-        }
-        if (typeof item.price !== 'number' || item.price <= 0) {
-            errors.push(`Item ${index + 1}: price must be a positive number`);
-        }
-        if (typeof item.quantity !== 'number' || item.quantity <= 0) {
-            errors.push(`Item ${index + 1}: quantity must be a positive number`);
-        }
+    const { errors, discount } = evaluateCoupon(coupon, pricing, {
+        customerId,
+        redemptions: liveRedemptions(coupon.id),
+        findMenuItem
     });
 
-    return errors;
+    return errors.length > 0
+        ? { errors, pricing: null }
+        : { errors, pricing: applyDiscount(pricing, discount) };
+};
+
+const voidCouponRedemption = (orderId, reason) => {
+    const redemption = couponRedemptionRepo.find(candidate => candidate.orderId === orderId && !candidate.voidedAt);
+    if (redemption) {
+        couponRedemptionRepo.update(redemption.id, { voidedAt: new Date().toISOString(), voidReason: reason });
+    }
+};
+
+// menuUpdated payload - tagged with the outlet so clients never mix menus
+const menuUpdate = (restaurantId) => ({
+    restaurantId,
+    items: getRestaurantMenu(restaurantId),
+    timestamp: new Date().toISOString()
+});
+
+// The outlet's menu goes only to sockets watching it. Clients that haven't
+// moved to watchMenu yet keep getting the default outlet's menu in the old shape.
+const broadcastMenu = (restaurantId) => {
+    const update = menuUpdate(restaurantId);
+    io.to(menuRoom(restaurantId)).emit('menuUpdated', update);
+    if (restaurantId === DEFAULT_RESTAURANT_ID) {
+        io.to(ROOMS.MENU_LEGACY).emit('menuUpdated', update.items);
+    }
 };
 
-const sanitizeString = (str) => {
-    if (typeof str !== 'string') return str;
-    return str.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-        .replace(/[<>]/g, '')
-        .trim();
+// A socket follows one outlet's menu at a time - and, having asked, no longer
+// needs the legacy broadcast
+const watchRestaurantMenu = (socket, restaurantId) => {
+    socket.leave(ROOMS.MENU_LEGACY);
+    if (socket.data.menuRestaurantId) {
+        socket.leave(menuRoom(socket.data.menuRestaurantId));
+    }
+    socket.join(menuRoom(restaurantId));
+    socket.data.menuRestaurantId = restaurantId;
 };
 
-const calculateEstimatedTime = (items) => {
-    if (!items || !Array.isArray(items)) return 30;
+// Pushes stock changes out - the menu to its watchers, low/sold-out alerts for the kitchen
+const broadcastStockChanges = (restaurantId, items) => {
+    if (items.length === 0) return;
 
-    const baseTime = 15; // Base preparation time
-    const itemTime = items.reduce((total, item) => {
-        const menuItem = menuItems.find(mi => mi.id === item.id);
-        return total + ((menuItem?.preparationTime || 10) * item.quantity);
-    }, 0);
+    broadcastMenu(restaurantId);
 
-    return Math.min(Math.max(baseTime + Math.ceil(itemTime / 2), 15), 60);
+    items.filter(item => item.stock === 0 || isLowStock(item)).forEach(item => {
+        console.log(`⚠️ Low stock: ${item.name} (${item.stock} left)`);
+        emitSequenced(restaurantRoom(restaurantId), 'lowStockAlert', {
+            itemId: item.id,
+            name: item.name,
+            stock: item.stock,
+            lowStockThreshold: item.lowStockThreshold,
+            soldOut: item.stock === 0,
+            timestamp: new Date().toISOString()
+        });
+    });
 };
 
-// Initialize data
-initializeData();
+// Sends an order to the kitchen. COD orders are released immediately,
+// online orders only once the gateway confirms payment.
+const releaseOrderToKitchen = (order) => {
+    orderRepo.update(order.id, {
+        releasedAt: new Date().toISOString(),
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        alertCount: 0
+    });
 
-// Routes
+    // Joins the kitchen queue - this sets its ETA and moves nobody else's
+    refreshKitchen(order.restaurantId);
+    const releasedOrder = orderRepo.findById(order.id);
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
+    // Get connected users count for debugging
+    const restaurantUsers = Array.from(connectedUsers.values()).filter(u => u.userType === 'restaurant');
+    const customerUsers = Array.from(connectedUsers.values()).filter(u => u.userType === 'customer');
+
+    console.log(`📡 Connected users - Restaurants: ${restaurantUsers.length}, Customers: ${customerUsers.length}`);
+
+    // Notify restaurant about new order
+    console.log(`📡 Broadcasting new order to ${restaurantRoom(releasedOrder.restaurantId)}`);
+    const restaurantEmitResult = emitSequenced(restaurantRoom(releasedOrder.restaurantId), 'newOrder', releasedOrder);
+    console.log('📡 Restaurant emit result:', restaurantEmitResult);
+
+    // Re-alerted until someone in the kitchen acknowledges it
+    orderAckTracker.track(releasedOrder.id);
+
+    // Send confirmation only to the customer who placed the order
+    console.log(`📡 Sending order confirmation to ${customerRoom(releasedOrder.customerId)}`);
+    const customerEmitResult = emitSequenced(customerRoom(releasedOrder.customerId), 'orderConfirmed', {
+        orderId: releasedOrder.id,
+        estimatedTime: releasedOrder.estimatedTime,
+        orderNumber: releasedOrder.orderNumber,
+        eta: releasedOrder.eta || null
+    });
+    console.log('📡 Customer emit result:', customerEmitResult);
+
+    const summary = { orderId: releasedOrder.id, orderNumber: releasedOrder.orderNumber };
+    notifier.notify('restaurant', releasedOrder.restaurantId, NOTIFICATION_EVENTS.ORDER_PLACED, {
+        ...summary,
+        itemCount: releasedOrder.items.reduce((sum, item) => sum + item.quantity, 0),
+        total: releasedOrder.total,
+        customerName: releasedOrder.customerInfo?.name || null
+    });
+    notifier.notify('customer', releasedOrder.customerId, NOTIFICATION_EVENTS.ORDER_CONFIRMED, {
+        ...summary,
+        estimatedTime: releasedOrder.estimatedTime || null
+    });
+
+    // Also emit to the debug room for troubleshooting
+    io.to(ROOMS.DEBUG).emit('orderCreated', {
+        orderId: releasedOrder.id,
+        status: 'created',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        environment: NODE_ENV
+        connectedUsers: connectedUsers.size
     });
-});
 
-// Serve Customer App
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+    return releasedOrder;
+};
 
-app.get('/customer', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+const KITCHEN_REFRESH_MS = 60 * 1000;
 
-// Serve Restaurant App
-app.get('/restaurant', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index2.html'));
+// Station-grouped view of everything the kitchen has on
+const getKitchenDisplay = (restaurant, orders = kitchenOrders(restaurant.id), now = new Date()) => {
+    const capacity = getParallelCapacity(restaurant);
+    const plan = planKitchenQueue(orders, { capacity, prepTimeOf, now });
+    return buildKitchenDisplay(orders, plan, { stationOf, capacity, now });
+};
+
+// Re-plans a restaurant's kitchen queue. Customers whose ETA moved get an
+// etaUpdate (and a notification the first time their order runs late); the
+// kitchen gets a fresh display feed.
+const refreshKitchen = (restaurantId) => {
+    const restaurant = restaurantRepo.findById(restaurantId);
+    if (!restaurant) return;
+
+    const now = new Date();
+    const orders = kitchenOrders(restaurantId);
+    const plan = planKitchenQueue(orders, { capacity: getParallelCapacity(restaurant), prepTimeOf, now });
+
+    const plannedOrders = plan.map(entry => {
+        const order = orders.find(candidate => candidate.id === entry.orderId);
+        const { eta, estimatedTime } = toEta(order, entry);
+        const late = isRunningLate(order, now);
+
+        const moved = !order.eta || order.eta.position !== eta.position ||
+            Math.abs(new Date(eta.readyAt) - new Date(order.eta.readyAt)) >= 60 * 1000;
+        if (!moved && !late) {
+            return order;
+        }
+
+        const changes = { eta, estimatedTime };
+        if (late && !order.lateSince) {
+            changes.lateSince = now.toISOString();
+        }
+        const updatedOrder = orderRepo.update(order.id, changes);
+
+        // A brand-new order learns its ETA from orderConfirmed
+        if (order.eta) {
+            emitSequenced([orderRoom(order.id), customerRoom(order.customerId)], 'etaUpdate', {
+                orderId: order.id,
+                estimatedTime,
+                eta,
+                late: Boolean(updatedOrder.lateSince)
+            });
+        }
+        if (changes.lateSince) {
+            console.log(`⚠️ Order ${order.id} is running late - now due ${eta.deliveryAt}`);
+            notifier.notify('customer', order.customerId, NOTIFICATION_EVENTS.ORDER_DELAYED, {
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                estimatedTime,
+                deliveryAt: eta.deliveryAt,
+                timezone: restaurant.timezone || DEFAULT_TIMEZONE
+            });
+        }
+
+        return updatedOrder;
+    });
+
+    io.to(restaurantRoom(restaurantId)).emit('kitchenDisplay', getKitchenDisplay(restaurant, plannedOrders, now));
+};
+
+// Orders run late without anything else happening - re-plan busy kitchens regularly.
+// A failing kitchen is logged and skipped so the timer can't crash the server.
+const kitchenRefreshTimer = setInterval(() => {
+    const busyRestaurants = new Set(orderRepo.filter(isQueued).map(order => order.restaurantId));
+    busyRestaurants.forEach(restaurantId => {
+        try {
+            refreshKitchen(restaurantId);
+        } catch (error) {
+            console.error(`❌ Error refreshing kitchen for ${restaurantId}:`, error);
+        }
+    });
+}, KITCHEN_REFRESH_MS);
+kitchenRefreshTimer.unref();
+
+// Orders released since acknowledgements were introduced wait for one while pending
+const needsAcknowledgement = (order) => order.acknowledgedAt === null && order.status === ORDER_STATUS.PENDING;
+
+const acknowledgementChanges = (actor) => ({
+    acknowledgedAt: new Date().toISOString(),
+    acknowledgedBy: actor
 });
 
-// API Routes
+// Stops the re-alerts and lets the outlet's other dashboards stop ringing
+const announceAcknowledgement = (order) => {
+    orderAckTracker.clear(order.id);
+    emitSequenced(restaurantRoom(order.restaurantId), 'orderAcknowledged', {
+        orderId: order.id,
+        acknowledgedAt: order.acknowledgedAt,
+        acknowledgedBy: order.acknowledgedBy
+    });
+    console.log(`✅ Order ${order.id} acknowledged by ${order.acknowledgedBy.id}`);
+};
+
+// Acknowledging twice (e.g. from two dashboards) is harmless
+const acknowledgeOrder = (order, actor) => {
+    if (!needsAcknowledgement(order)) {
+        return order;
+    }
+
+    const acknowledgedOrder = orderRepo.update(order.id, acknowledgementChanges(actor));
+    announceAcknowledgement(acknowledgedOrder);
+    return acknowledgedOrder;
+};
 
-// Menu APIs
-app.get('/api/menu', (req, res) => {
+// Nobody acknowledged the order in time - ring the kitchen again, and once the
+// re-alerts are used up escalate it to the outlet's phone and the debug room
+const handleUnacknowledgedOrder = (orderId) => {
     try {
-        res.json({
-            success: true,
-            data: menuItems,
-            count: menuItems.length
+        const order = orderRepo.findById(orderId);
+        if (!order || !needsAcknowledgement(order)) return;
+
+        if (nextAlertAction(order) === ALERT_ACTION.REALERT) {
+            const alertedOrder = orderRepo.update(order.id, { alertCount: (order.alertCount || 0) + 1 });
+            emitSequenced(restaurantRoom(order.restaurantId), 'orderAlert', {
+                orderId: order.id,
+                attempt: alertedOrder.alertCount,
+                order: alertedOrder
+            });
+            console.log(`⚠️ Order ${order.id} not acknowledged - re-alert ${alertedOrder.alertCount}/${MAX_REALERTS}`);
+            orderAckTracker.track(order.id);
+            return;
+        }
+
+        const escalatedOrder = orderRepo.update(order.id, { escalatedAt: new Date().toISOString() });
+        const waitingMinutes = Math.max(1, Math.round((Date.now() - new Date(order.releasedAt).getTime()) / 60000));
+        const escalation = {
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            alertCount: order.alertCount,
+            waitingMinutes,
+            order: escalatedOrder
+        };
+
+        emitSequenced(restaurantRoom(order.restaurantId), 'orderEscalated', escalation);
+        io.to(ROOMS.DEBUG).emit('orderEscalated', escalation);
+        notifier.notify('restaurant', order.restaurantId, NOTIFICATION_EVENTS.ORDER_UNACKNOWLEDGED, {
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            waitingMinutes
         });
+
+        console.error(`❌ Order ${order.id} escalated - not acknowledged after ${order.alertCount} re-alerts`);
     } catch (error) {
-        console.error('❌ Error fetching menu:', error);
+        // Runs from a timer - an error here must not take the server down
+        console.error(`❌ Error handling unacknowledged order ${orderId}:`, error);
+    }
+};
+
+// Live orders holding a slot, plus checkouts still paying for one - cancelled
+// and rejected orders give it back
+const countSlotBookings = (restaurantId, slotStart) => {
+    const held = slotHolds.get(slotHoldKey(restaurantId, slotStart)) || 0;
+    return held + orderRepo.count(order =>
+        order.restaurantId === restaurantId && order.scheduledFor === slotStart &&
+        ![ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED].includes(order.status)
+    );
+};
+
+// Scheduled orders wait for their lead time; everything else goes straight to
+// the kitchen. The outlet still hears about held orders so it can plan ahead.
+const releaseIfDue = (order) => {
+    if (!isHeld(order)) {
+        return releaseOrderToKitchen(order);
+    }
+
+    emitSequenced(restaurantRoom(order.restaurantId), 'orderScheduled', {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        fulfillment: order.fulfillment,
+        slot: order.slot,
+        releaseAt: order.releaseAt,
+        items: order.items,
+        total: order.total
+    });
+    console.log(`⏰ Order ${order.id} held until ${order.releaseAt} for the ${order.slot.start} slot`);
+
+    return orderRepo.findById(order.id);
+};
+
+// Held orders whose lead time has come - online ones only once they are paid
+const isDueForRelease = (order, now = new Date()) => Boolean(order.releaseAt) && !order.releasedAt &&
+    order.status === ORDER_STATUS.PENDING && !isHeld(order, now) &&
+    (!isOnlinePaymentMethod(order.paymentMethod) || order.paymentStatus === PAYMENT_STATUS.PAID);
+
+const SCHEDULE_CHECK_MS = 30 * 1000;
+
+// Runs from a timer - one order failing must neither crash the server nor hold up the rest
+const releaseDueOrders = () => {
+    orderRepo.filter(order => isDueForRelease(order)).forEach(order => {
+        try {
+            console.log(`⏰ Releasing scheduled order ${order.id} to the kitchen`);
+            releaseOrderToKitchen(order);
+        } catch (error) {
+            console.error(`❌ Error releasing scheduled order ${order.id}:`, error);
+        }
+    });
+};
+
+// Release times are stored on the orders, so polling picks them up again after a restart
+const scheduleTimer = setInterval(releaseDueOrders, SCHEDULE_CHECK_MS);
+scheduleTimer.unref();
+
+// Abandoned online checkouts hold stock, a coupon redemption and maybe a slot.
+// The clock starts at the latest payment attempt, so a retry gets the full window.
+const isPaymentOverdue = (order, now = Date.now()) => {
+    if (!isOnlinePaymentMethod(order.paymentMethod) || order.status !== ORDER_STATUS.PENDING ||
+        ![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(order.paymentStatus)) {
+        return false;
+    }
+    const payment = order.paymentId ? paymentRepo.findById(order.paymentId) : null;
+    const startedAt = new Date((payment || order).createdAt).getTime();
+    return now - startedAt >= PAYMENT_TIMEOUT_MINUTES * 60 * 1000;
+};
+
+// Cancelled like any other order, so stock and coupons go back; a capture that
+// still arrives afterwards is refunded by applyPaymentEvent. Runs from a timer,
+// so a failing order is logged and skipped rather than crashing the server.
+const cancelUnpaidOrders = () => {
+    orderRepo.filter(order => isPaymentOverdue(order)).forEach(order => {
+        try {
+            const { errors } = commitOrderTransition(order, ORDER_STATUS.CANCELLED, {
+                actor: toActor(null),
+                reason: `Payment not completed within ${PAYMENT_TIMEOUT_MINUTES} minutes`
+            });
+            if (errors.length === 0) {
+                console.log(`⏰ Order ${order.id} cancelled - payment not completed in time`);
+            }
+        } catch (error) {
+            console.error(`❌ Error cancelling unpaid order ${order.id}:`, error);
+        }
+    });
+};
+
+const paymentTimeoutTimer = setInterval(cancelUnpaidOrders, SCHEDULE_CHECK_MS);
+paymentTimeoutTimer.unref();
+
+// Opens a payment with the gateway and records it against the order
+const createOrderPayment = async (order) => {
+    const gatewayPayment = await paymentGateway.createPayment({
+        orderId: order.id,
+        amount: order.total,
+        currency: order.pricing?.currency || 'INR'
+    });
+
+    const now = new Date().toISOString();
+    return paymentRepo.insert({
+        id: `pay_${crypto.randomBytes(8).toString('hex')}`,
+        orderId: order.id,
+        gateway: paymentGateway.name,
+        gatewayOrderId: gatewayPayment.gatewayOrderId,
+        paymentId: null,
+        method: order.paymentMethod,
+        amount: order.total,
+        currency: gatewayPayment.currency,
+        status: PAYMENT_STATUS.PENDING,
+        checkout: gatewayPayment.checkout,
+        events: [],
+        createdAt: now,
+        updatedAt: now
+    });
+};
+
+// Applies a verified, normalised gateway event. Duplicate and out-of-order
+// events are recorded but never move a payment backwards.
+const applyPaymentEvent = (event) => {
+    const payment = paymentRepo.find(record =>
+        (event.gatewayOrderId && record.gatewayOrderId === event.gatewayOrderId) ||
+        (event.paymentId && record.paymentId === event.paymentId)
+    );
+    if (!payment) {
+        return { applied: false, reason: 'Unknown payment' };
+    }
+    if (payment.events.some(recorded => recorded.id === event.id)) {
+        return { applied: false, reason: 'Duplicate event' };
+    }
+
+    const now = new Date().toISOString();
+    const events = [...payment.events, { id: event.id, type: event.type, at: now }];
+    const nextStatus = EVENT_STATUS[event.type];
+
+    if (!nextStatus || !canChangePaymentStatus(payment.status, nextStatus)) {
+        paymentRepo.update(payment.id, { events });
+        return { applied: false, reason: `Ignored ${event.type} for ${payment.status} payment` };
+    }
+
+    if (nextStatus === PAYMENT_STATUS.PAID && event.amount !== null && Math.abs(event.amount - payment.amount) >= 0.01) {
+        paymentRepo.update(payment.id, { events });
+        console.error(`❌ Payment ${payment.id} amount mismatch: expected ₹${payment.amount}, got ₹${event.amount}`);
+        return { applied: false, reason: 'Amount mismatch' };
+    }
+
+    const updatedPayment = paymentRepo.update(payment.id, {
+        status: nextStatus,
+        paymentId: event.paymentId || payment.paymentId,
+        failureReason: nextStatus === PAYMENT_STATUS.FAILED ? (event.reason || 'Payment failed') : null,
+        events,
+        updatedAt: now
+    });
+
+    // The gateway confirmed the money went back
+    if (nextStatus === PAYMENT_STATUS.REFUNDED) {
+        refundRepo
+            .filter(refund => refund.paymentId === payment.id && refund.status !== REFUND_STATUS.PROCESSED)
+            .forEach(refund => syncOrderRefund(refundRepo.update(refund.id, {
+                status: REFUND_STATUS.PROCESSED,
+                failureReason: null,
+                processedAt: now,
+                updatedAt: now
+            })));
+    }
+
+    // An attempt the customer has since retried no longer speaks for the order -
+    // if it still managed to take the money, that money goes straight back
+    const current = orderRepo.findById(payment.orderId);
+    if (current.paymentId !== payment.id) {
+        if (nextStatus === PAYMENT_STATUS.PAID) {
+            startRefund(current, updatedPayment, { actor: toActor(null), reason: 'Payment captured on a superseded attempt' });
+        }
+        console.log(`💳 Superseded payment ${payment.id} for order ${current.id} is now ${nextStatus}`);
+        return { applied: true, payment: updatedPayment, order: orderRepo.findById(current.id) };
+    }
+
+    let order = orderRepo.update(payment.orderId, { paymentStatus: nextStatus, updatedAt: now });
+
+    emitSequenced([orderRoom(order.id), customerRoom(order.customerId)], 'paymentStatusUpdate', {
+        orderId: order.id,
+        paymentStatus: nextStatus,
+        reason: updatedPayment.failureReason,
+        timestamp: now
+    });
+    notifier.notify('customer', order.customerId, NOTIFICATION_EVENTS.PAYMENT_STATUS, {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        paymentStatus: nextStatus,
+        reason: updatedPayment.failureReason
+    });
+
+    // Paid after it was cancelled (e.g. a slow UPI confirmation) - give it straight back
+    if (nextStatus === PAYMENT_STATUS.PAID && [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED].includes(order.status)) {
+        startRefund(order, updatedPayment, { actor: toActor(null), reason: `Payment arrived after the order was ${order.status}` });
+        order = orderRepo.findById(order.id);
+    } else if (nextStatus === PAYMENT_STATUS.PAID && !order.releasedAt) {
+        order = releaseIfDue(order);
+    }
+
+    console.log(`💳 Payment ${payment.id} for order ${order.id} is now ${nextStatus}`);
+
+    return { applied: true, payment: updatedPayment, order };
+};
+
+// Refunds are recorded before the gateway is asked, so a failed call leaves a
+// record staff can retry. The order carries a snapshot of its latest refund.
+const syncOrderRefund = (refund) => orderRepo.update(refund.orderId, {
+    refund: toRefundSnapshot(refund),
+    updatedAt: new Date().toISOString()
+});
+
+const processRefund = async (refund) => {
+    const payment = paymentRepo.findById(refund.paymentId);
+
+    try {
+        const result = await paymentGateway.refund({ paymentId: payment.paymentId, amount: refund.amount });
+        refundRepo.update(refund.id, {
+            gatewayRefundId: result.refundId,
+            failureReason: null,
+            updatedAt: new Date().toISOString()
+        });
+
+        // Some gateways settle instantly; the rest confirm through the refund webhook
+        if (result.status === 'processed') {
+            applyPaymentEvent({
+                id: `refund_${result.refundId}`,
+                type: 'refund.processed',
+                gatewayOrderId: payment.gatewayOrderId,
+                paymentId: payment.paymentId,
+                amount: refund.amount,
+                reason: null
+            });
+        }
+        console.log(`💳 Refund ${refund.id} of ₹${refund.amount} sent to ${paymentGateway.name} (${result.status})`);
+    } catch (error) {
+        console.error(`❌ Refund ${refund.id} for order ${refund.orderId} failed:`, error.message);
+        syncOrderRefund(refundRepo.update(refund.id, {
+            status: REFUND_STATUS.FAILED,
+            failureReason: error.message,
+            updatedAt: new Date().toISOString()
+        }));
+    }
+
+    return refundRepo.findById(refund.id);
+};
+
+// Full refund of a captured payment - always the record the gateway charged,
+// which after a retry may not be the order's latest attempt
+const startRefund = (order, payment, { actor, reason }) => {
+    const now = new Date().toISOString();
+
+    const refund = refundRepo.insert({
+        id: `rfnd_${crypto.randomBytes(8).toString('hex')}`,
+        orderId: order.id,
+        restaurantId: order.restaurantId,
+        customerId: order.customerId,
+        paymentId: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: REFUND_STATUS.PENDING,
+        reason,
+        requestedBy: actor,
+        gatewayRefundId: null,
+        failureReason: null,
+        createdAt: now,
+        updatedAt: now,
+        processedAt: null
+    });
+    syncOrderRefund(refund);
+    processRefund(refund);
+
+    return refund;
+};
+
+// Delivery helpers - OTPs live only on the delivery record; orders carry a
+// public snapshot that is safe to send to anyone who can see the order
+const toDeliverySnapshot = (delivery, rider) => ({
+    id: delivery.id,
+    status: delivery.status,
+    riderId: rider.id,
+    riderName: rider.name,
+    riderPhone: rider.phone,
+    assignedAt: delivery.assignedAt,
+    pickedUpAt: delivery.pickedUpAt || null,
+    deliveredAt: delivery.deliveredAt || null
+});
+
+const findActiveDelivery = (orderId) => deliveryRepo.find(delivery =>
+    delivery.orderId === orderId && isActiveDelivery(delivery)
+);
+
+const setRiderAvailable = (riderId) => riderRepo.update(riderId, {
+    status: RIDER_STATUS.AVAILABLE,
+    activeOrderId: null,
+    availableSince: new Date().toISOString()
+});
+
+const assignRider = (order, rider, actor) => {
+    const restaurant = restaurantRepo.findById(order.restaurantId);
+    const delivery = deliveryRepo.insert({
+        id: `del_${crypto.randomBytes(6).toString('hex')}`,
+        orderId: order.id,
+        restaurantId: order.restaurantId,
+        riderId: rider.id,
+        status: DELIVERY_STATUS.ASSIGNED,
+        pickupOtp: generateOtp(),
+        dropoffOtp: generateOtp(),
+        pickupAttempts: 0,
+        dropoffAttempts: 0,
+        assignedBy: actor,
+        assignedAt: new Date().toISOString()
+    });
+
+    riderRepo.update(rider.id, { status: RIDER_STATUS.BUSY, activeOrderId: order.id });
+    const updatedOrder = orderRepo.update(order.id, { delivery: toDeliverySnapshot(delivery, rider) });
+
+    // The rider gets the job, the kitchen the pickup code, the customer the drop-off code
+    emitSequenced(riderRoom(rider.id), 'deliveryAssigned', {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        restaurant: {
+            id: restaurant.id,
+            name: restaurant.name,
+            address: restaurant.address,
+            phone: restaurant.phone,
+            location: restaurant.location || null
+        },
+        customerInfo: order.customerInfo,
+        items: order.items,
+        total: order.total,
+        collectCash: order.paymentMethod === 'COD' ? order.total : 0
+    });
+    emitSequenced(restaurantRoom(order.restaurantId), 'riderAssigned', {
+        orderId: order.id,
+        delivery: updatedOrder.delivery,
+        pickupOtp: delivery.pickupOtp
+    });
+    emitSequenced(customerRoom(order.customerId), 'riderAssigned', {
+        orderId: order.id,
+        delivery: updatedOrder.delivery,
+        dropoffOtp: delivery.dropoffOtp
+    });
+
+    const summary = { orderId: order.id, orderNumber: order.orderNumber };
+    notifier.notify('rider', rider.id, NOTIFICATION_EVENTS.DELIVERY_ASSIGNED, {
+        ...summary,
+        restaurantName: restaurant.name,
+        collectCash: order.paymentMethod === 'COD' ? order.total : 0
+    });
+    notifier.notify('customer', order.customerId, NOTIFICATION_EVENTS.RIDER_ASSIGNED, {
+        ...summary,
+        riderName: rider.name,
+        dropoffOtp: delivery.dropoffOtp
+    });
+
+    console.log(`🛵 Order ${order.id} assigned to rider ${rider.id}`);
+
+    return updatedOrder;
+};
+
+const cancelDelivery = (order, reason = null) => {
+    const delivery = findActiveDelivery(order.id);
+    if (!delivery) return;
+
+    deliveryRepo.update(delivery.id, {
+        status: DELIVERY_STATUS.CANCELLED,
+        cancelledAt: new Date().toISOString(),
+        cancelReason: reason
+    });
+    orderRepo.update(order.id, { delivery: { ...order.delivery, status: DELIVERY_STATUS.CANCELLED } });
+    setRiderAvailable(delivery.riderId);
+    riderLocationThrottle.forget(delivery.riderId);
+
+    emitSequenced(riderRoom(delivery.riderId), 'deliveryCancelled', { orderId: order.id, reason });
+    notifier.notify('rider', delivery.riderId, NOTIFICATION_EVENTS.DELIVERY_CANCELLED, {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        reason
+    });
+    console.log(`🛵 Delivery ${delivery.id} for order ${order.id} cancelled`);
+};
+
+// Both sides hear about a cancellation - the outlet only if it ever saw the order
+const announceCancellation = (previous, order, refund) => {
+    const { cancellation } = order;
+    const seenByRestaurant = Boolean(previous.releasedAt || previous.scheduledFor);
+    const rooms = [orderRoom(order.id), customerRoom(order.customerId)];
+    if (seenByRestaurant) {
+        rooms.push(restaurantRoom(order.restaurantId));
+    }
+
+    emitSequenced(rooms, 'orderCancelled', {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        previousStatus: previous.status,
+        reason: cancellation.reason,
+        cancelledBy: cancellation.cancelledBy,
+        approvedBy: cancellation.approvedBy,
+        refund: refund ? toRefundSnapshot(refund) : null,
+        timestamp: cancellation.cancelledAt
+    });
+
+    if (seenByRestaurant && cancellation.cancelledBy.role === ROLES.CUSTOMER) {
+        notifier.notify('restaurant', order.restaurantId, NOTIFICATION_EVENTS.ORDER_CANCELLED, {
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            reason: cancellation.reason
+        });
+    }
+};
+
+// Moves an order through its lifecycle and tells everyone involved -> { errors, order }.
+// Used by staff status changes and by riders confirming pickup/drop-off.
+const commitOrderTransition = (order, status, { actor, reason }) => {
+    const { errors, changes } = transitionOrder(order, status, { actor, reason });
+    if (errors.length > 0) {
+        return { errors, order: null };
+    }
+
+    // Cash is collected on delivery
+    if (status === ORDER_STATUS.DELIVERED && order.paymentMethod === 'COD') {
+        changes.paymentStatus = PAYMENT_STATUS.PAID;
+    }
+
+    // Cancelled or rejected orders give their stock back
+    const returnsStock = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED].includes(status) && order.stockReserved;
+    if (returnsStock) {
+        changes.stockReserved = false;
+    }
+
+    // Staff acting on a new order have seen it
+    const acknowledges = needsAcknowledgement(order) && actor.role === ROLES.RESTAURANT;
+    if (acknowledges) {
+        Object.assign(changes, acknowledgementChanges(actor));
+    }
+
+    if (status === ORDER_STATUS.CANCELLED) {
+        changes.cancellation = buildCancellation(order, { actor, reason: changes.statusReason, at: changes.updatedAt });
+    }
+
+    let updatedOrder = orderRepo.update(order.id, changes);
+
+    // Any move out of pending stops the re-alerts
+    orderAckTracker.clear(order.id);
+    if (acknowledges) {
+        announceAcknowledgement(updatedOrder);
+    }
+
+    if (returnsStock) {
+        const restored = inventory.releaseForOrder(order.id, order.items, actor, updatedOrder.statusReason);
+        broadcastStockChanges(order.restaurantId, restored);
+    }
+
+    // ...and their coupon can be used again
+    if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED].includes(status)) {
+        voidCouponRedemption(order.id, updatedOrder.statusReason);
+    }
+
+    // ...and anything paid online goes back
+    let refund = null;
+    const capturedPayment = findCapturedPayment(paymentRepo.filter(payment => payment.orderId === order.id));
+    if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED].includes(status) && capturedPayment) {
+        refund = startRefund(updatedOrder, capturedPayment, { actor, reason: updatedOrder.statusReason });
+        updatedOrder = orderRepo.findById(order.id);
+    }
+
+    // A cancelled order frees its rider
+    if (status === ORDER_STATUS.CANCELLED && isActiveDelivery(order.delivery)) {
+        cancelDelivery(updatedOrder, updatedOrder.statusReason);
+    }
+
+    // Notify only the owning customer and anyone tracking this order
+    console.log(`📡 Sending status update for order ${order.id} to ${orderRoom(order.id)}`);
+    const statusUpdateResult = emitSequenced([orderRoom(order.id), customerRoom(updatedOrder.customerId)], 'orderStatusUpdate', {
+        orderId: order.id,
+        status: status,
+        reason: updatedOrder.statusReason || null,
+        statusHistory: updatedOrder.statusHistory,
+        order: updatedOrder
+    });
+    console.log('📡 Status update emit result:', statusUpdateResult);
+
+    if (status === ORDER_STATUS.CANCELLED) {
+        announceCancellation(order, updatedOrder, refund);
+    }
+
+    notifier.notify('customer', updatedOrder.customerId, NOTIFICATION_EVENTS.ORDER_STATUS, {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status,
+        reason: updatedOrder.statusReason || null
+    });
+
+    // Also emit to the debug room for troubleshooting
+    io.to(ROOMS.DEBUG).emit('orderStatusChanged', {
+        orderId: order.id,
+        status: status,
+        timestamp: new Date().toISOString(),
+        connectedUsers: connectedUsers.size
+    });
+
+    console.log(`✅ Order ${order.id} status updated to: ${status}`);
+
+    // Orders starting, finishing or dropping out change everyone else's ETA
+    refreshKitchen(order.restaurantId);
+
+    return { errors, order: orderRepo.findById(order.id) };
+};
+
+const buildRestaurantStats = (restaurantId) => {
+    // Orders still waiting for online payment haven't reached the kitchen yet
+    const orders = orderRepo.filter(order => order.restaurantId === restaurantId && order.releasedAt);
+    const users = Array.from(connectedUsers.values());
+
+    // "Today" is the restaurant's local day, and lost orders earn nothing
+    const { timezone } = restaurantRepo.findById(restaurantId);
+    const today = localDateOf(new Date(), timezone);
+    const todayOrders = orders.filter(order => localDateOf(order.createdAt, timezone) === today);
+    const revenueOf = (list) => roundCurrency(list.filter(countsAsRevenue).reduce((sum, order) => sum + (order.total || 0), 0));
+
+    return {
+        restaurantId,
+        totalOrders: orders.length,
+        todayOrders: todayOrders.length,
+        pendingOrders: orders.filter(order => order.status === ORDER_STATUS.PENDING).length,
+        completedOrders: orders.filter(order => order.status === ORDER_STATUS.DELIVERED).length,
+        cancelledOrders: orders.filter(order => !countsAsRevenue(order)).length,
+        totalRevenue: revenueOf(orders),
+        todayRevenue: revenueOf(todayOrders),
+        discounts: {
+            orders: orders.filter(order => order.discount).length,
+            total: roundCurrency(orders.reduce((sum, order) => sum + (order.discount ? order.discount.amount : 0), 0)),
+            today: roundCurrency(todayOrders.reduce((sum, order) => sum + (order.discount ? order.discount.amount : 0), 0)),
+            byCoupon: orders.reduce((byCoupon, order) => {
+                if (order.discount) {
+                    byCoupon[order.discount.code] = (byCoupon[order.discount.code] || 0) + 1;
+                }
+                return byCoupon;
+            }, {})
+        },
+        connectedUsers: {
+            customers: users.filter(u => u.userType === 'customer').length,
+            restaurants: users.filter(u => u.userType === 'restaurant' && u.restaurantId === restaurantId).length,
+            total: connectedUsers.size
+        }
+    };
+};
+
+// Initialize data
+initializeData();
+bootstrapStaffAccount();
+
+// Orders still waiting for the kitchen after a restart get a fresh acknowledgement window,
+// scheduled orders that fell due while the server was down go out now and
+// checkouts abandoned meanwhile are cancelled
+orderRepo.filter(needsAcknowledgement).forEach(order => orderAckTracker.track(order.id));
+releaseDueOrders();
+cancelUnpaidOrders();
+
+// Routes
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        environment: NODE_ENV
+    });
+});
+
+// Serve Customer App
+app.get('/', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+app.get('/customer', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+// Serve Restaurant App
+app.get('/restaurant', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index2.html'));
+});
+
+// API Routes
+
+// Auth APIs
+app.post('/api/auth/register', limit('auth'), validateBody(registerSchema), (req, res) => {
+    try {
+        const accountData = req.body;
+        const phone = normalizePhone(accountData.phone);
+        const email = accountData.email || null;
+
+        const existing = customerRepo.find(customer =>
+            customer.phone === phone || (email && customer.email === email)
+        );
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'An account with this phone or email already exists'
+            });
+        }
+
+        const customer = customerRepo.insert({
+            id: `cust_${crypto.randomBytes(6).toString('hex')}`,
+            role: ROLES.CUSTOMER,
+            name: accountData.name,
+            phone,
+            email,
+            passwordHash: hashPassword(accountData.password),
+            addresses: [],
+            createdAt: new Date().toISOString()
+        });
+
+        console.log(`✅ New customer registered: ${customer.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Account created successfully',
+            data: {
+                token: auth.issueToken(customer),
+                user: toPublicUser(customer)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error registering customer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create account'
+        });
+    }
+});
+
+app.post('/api/auth/login', limit('auth'), (req, res) => {
+    try {
+        const { userType = ROLES.CUSTOMER, phone, email, password } = req.body;
+        const normalizedEmail = email ? String(email).toLowerCase() : null;
+
+        let account = null;
+        if (userType === ROLES.RESTAURANT) {
+            account = normalizedEmail ? staffRepo.find(member => member.email === normalizedEmail) : null;
+        } else if (userType === ROLES.CUSTOMER) {
+            account = customerRepo.find(customer =>
+                (phone && customer.phone === normalizePhone(phone)) ||
+                (normalizedEmail && customer.email === normalizedEmail)
+            );
+        } else if (userType === ROLES.RIDER) {
+            account = phone ? riderRepo.find(rider => rider.phone === normalizePhone(phone)) : null;
+        }
+
+        if (!account || !verifyPassword(password, account.passwordHash)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        console.log(`🔐 ${account.role} logged in: ${account.id}`);
+
+        res.json({
+            success: true,
+            message: 'Logged in successfully',
+            data: {
+                token: auth.issueToken(account),
+                user: toPublicUser(account)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log in'
+        });
+    }
+});
+
+app.get('/api/auth/me', requireRole(), (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+});
+
+// Existing staff can add more restaurant accounts
+app.post('/api/auth/staff', requireRole(ROLES.RESTAURANT), validateBody(staffSchema), (req, res) => {
+    try {
+        // Outlet staff can only add colleagues to their own outlet
+        const restaurantId = isPlatformAdmin(req.user)
+            ? (req.body.restaurantId || null)
+            : req.user.restaurantId;
+        if (restaurantId && !restaurantRepo.findById(restaurantId)) {
+            return sendValidationError(res, [{ field: 'restaurantId', message: `Unknown restaurant: ${restaurantId}` }]);
+        }
+
+        const { email } = req.body;
+        if (staffRepo.find(member => member.email === email)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A staff account with this email already exists'
+            });
+        }
+
+        const member = staffRepo.insert({
+            id: `staff_${crypto.randomBytes(6).toString('hex')}`,
+            role: ROLES.RESTAURANT,
+            name: req.body.name,
+            email,
+            passwordHash: hashPassword(req.body.password),
+            restaurantId,
+            createdBy: req.user.id,
+            createdAt: new Date().toISOString()
+        });
+
+        console.log(`✅ Staff account created: ${member.id} by ${req.user.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Staff account created successfully',
+            data: toPublicUser(member)
+        });
+    } catch (error) {
+        console.error('❌ Error creating staff account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create staff account'
+        });
+    }
+});
+
+// Customer APIs - profile, saved addresses and order history for the signed-in customer
+
+// Legacy orders placed before accounts existed are matched by phone
+const isCustomerOrder = (order, customer) => order.customerId === customer.id ||
+    (!order.customerId && Boolean(order.customerInfo?.phone) && normalizePhone(order.customerInfo.phone) === customer.phone);
+
+app.get('/api/customers/me', requireRole(ROLES.CUSTOMER), (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+});
+
+app.put('/api/customers/me', requireRole(ROLES.CUSTOMER), validateBody(customerProfileSchema, { partial: true }), (req, res) => {
+    try {
+        const email = req.body.email;
+        if (email && customerRepo.find(customer => customer.email === email && customer.id !== req.user.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'An account with this email already exists'
+            });
+        }
+
+        const customer = customerRepo.update(req.user.id, {
+            ...req.body,
+            updatedAt: new Date().toISOString()
+        });
+
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: toPublicUser(customer)
+        });
+    } catch (error) {
+        console.error('❌ Error updating customer profile:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update profile'
+        });
+    }
+});
+
+const MAX_SAVED_ADDRESSES = 10;
+
+// Exactly one saved address is the default once any exist
+const withDefaultAddress = (addresses, defaultId) => addresses.map((address, index) => ({
+    ...address,
+    isDefault: defaultId ? address.id === defaultId : index === 0
+}));
+
+app.get('/api/customers/me/addresses', requireRole(ROLES.CUSTOMER), (req, res) => {
+    const addresses = req.user.addresses || [];
+    res.json({
+        success: true,
+        data: addresses,
+        count: addresses.length
+    });
+});
+
+app.post('/api/customers/me/addresses', requireRole(ROLES.CUSTOMER), validateBody(savedAddressSchema), (req, res) => {
+    try {
+        const addresses = req.user.addresses || [];
+        if (addresses.length >= MAX_SAVED_ADDRESSES) {
+            return res.status(409).json({
+                success: false,
+                message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses`
+            });
+        }
+
+        const address = { id: `addr_${crypto.randomBytes(4).toString('hex')}`, ...req.body };
+        const defaultId = req.body.isDefault ? address.id : addresses.find(candidate => candidate.isDefault)?.id;
+        const customer = customerRepo.update(req.user.id, {
+            addresses: withDefaultAddress([...addresses, address], defaultId)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Address saved successfully',
+            data: customer.addresses.find(candidate => candidate.id === address.id)
+        });
+    } catch (error) {
+        console.error('❌ Error saving address:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save address'
+        });
+    }
+});
+
+app.put('/api/customers/me/addresses/:addressId', requireRole(ROLES.CUSTOMER), validateBody(savedAddressSchema, { partial: true }), (req, res) => {
+    try {
+        const addresses = req.user.addresses || [];
+        const existing = addresses.find(address => address.id === req.params.addressId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        const updated = addresses.map(address => (address.id === existing.id ? { ...address, ...req.body } : address));
+
+        // Unsetting the default hands it to another address
+        let defaultId = addresses.find(address => address.isDefault)?.id;
+        if (req.body.isDefault === true) {
+            defaultId = existing.id;
+        } else if (req.body.isDefault === false && defaultId === existing.id) {
+            defaultId = addresses.find(address => address.id !== existing.id)?.id;
+        }
+        const customer = customerRepo.update(req.user.id, { addresses: withDefaultAddress(updated, defaultId) });
+
+        res.json({
+            success: true,
+            message: 'Address updated successfully',
+            data: customer.addresses.find(address => address.id === existing.id)
+        });
+    } catch (error) {
+        console.error('❌ Error updating address:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update address'
+        });
+    }
+});
+
+app.delete('/api/customers/me/addresses/:addressId', requireRole(ROLES.CUSTOMER), (req, res) => {
+    try {
+        const addresses = req.user.addresses || [];
+        if (!addresses.some(address => address.id === req.params.addressId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        const remaining = addresses.filter(address => address.id !== req.params.addressId);
+        customerRepo.update(req.user.id, {
+            addresses: withDefaultAddress(remaining, remaining.find(address => address.isDefault)?.id)
+        });
+
+        res.json({
+            success: true,
+            message: 'Address deleted successfully'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting address:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete address'
+        });
+    }
+});
+
+// Same filters, sorting and pagination as GET /api/orders
+app.get('/api/customers/me/orders', requireRole(ROLES.CUSTOMER), (req, res) => {
+    try {
+        const { errors: queryErrors, criteria } = parseOrderQuery(req.query);
+        if (queryErrors.length > 0) {
+            return sendValidationError(res, queryErrors);
+        }
+
+        const orders = orderRepo.filter(order => isCustomerOrder(order, req.user)).reverse();
+        const { data, pagination } = queryOrders(orders, criteria);
+
+        res.json({
+            success: true,
+            data,
+            count: data.length,
+            pagination
+        });
+    } catch (error) {
+        console.error('❌ Error fetching customer orders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch orders'
+        });
+    }
+});
+
+// Restaurant APIs
+app.get('/api/restaurants', (req, res) => {
+    try {
+        const restaurants = restaurantRepo.all().map(withAvailability);
+        res.json({
+            success: true,
+            data: restaurants,
+            count: restaurants.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching restaurants:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch restaurants'
+        });
+    }
+});
+
+app.get('/api/restaurants/:restaurantId', resolveRestaurant, (req, res) => {
+    res.json({
+        success: true,
+        data: withAvailability(req.restaurant)
+    });
+});
+
+// Onboarding a new outlet is reserved for platform admins
+app.post('/api/restaurants', requireRole(ROLES.RESTAURANT), validateBody(restaurantSchema), (req, res) => {
+    try {
+        if (!isPlatformAdmin(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only platform admins can add restaurants'
+            });
+        }
+
+        const validationErrors = [
+            ...validateOperatingHours(req.body),
+            ...validateDeliverySettings(req.body)
+        ];
+        if (validationErrors.length > 0) {
+            return sendValidationError(res, validationErrors);
+        }
+
+        const { name } = req.body;
+        const id = req.body.id || slugify(name);
+        if (!id || restaurantRepo.findById(id)) {
+            return res.status(409).json({
+                success: false,
+                message: `A restaurant with id "${id}" already exists`
+            });
+        }
+
+        const restaurant = restaurantRepo.insert({
+            id,
+            name,
+            address: req.body.address || '',
+            phone: req.body.phone || '',
+            email: req.body.email || '',
+            status: 'open',
+            openTime: req.body.openTime || '09:00',
+            closeTime: req.body.closeTime || '22:00',
+            timezone: req.body.timezone || DEFAULT_TIMEZONE,
+            schedule: req.body.schedule || null,
+            holidays: req.body.holidays || [],
+            location: req.body.location || null,
+            deliveryZone: req.body.deliveryZone || null,
+            deliveryFees: req.body.deliveryFees || null,
+            rating: null,
+            ratingCount: 0,
+            createdAt: new Date().toISOString()
+        });
+
+        console.log(`✅ New restaurant added: ${restaurant.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Restaurant added successfully',
+            data: restaurant
+        });
+    } catch (error) {
+        console.error('❌ Error adding restaurant:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add restaurant'
+        });
+    }
+});
+
+// Status is not updatable here - it goes through the status API so customers get notified
+app.put('/api/restaurants/:restaurantId', resolveRestaurant, requireRestaurantStaff, validateBody(restaurantUpdateSchema, { partial: true }), (req, res) => {
+    try {
+        const changes = req.body;
+        const validationErrors = [
+            ...validateOperatingHours(changes),
+            ...validateDeliverySettings({ ...req.restaurant, ...changes })
+        ];
+        if (validationErrors.length > 0) {
+            return sendValidationError(res, validationErrors);
+        }
+
+        const updatedRestaurant = restaurantRepo.update(req.restaurant.id, {
+            ...changes,
+            updatedAt: new Date().toISOString()
+        });
+
+        if (changes.kitchen) {
+            refreshKitchen(updatedRestaurant.id);
+        }
+
+        console.log(`✅ Restaurant updated: ${updatedRestaurant.id}`);
+
+        res.json({
+            success: true,
+            message: 'Restaurant updated successfully',
+            data: withAvailability(updatedRestaurant)
+        });
+    } catch (error) {
+        console.error('❌ Error updating restaurant:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update restaurant'
+        });
+    }
+});
+
+// Busy/paused mode - stops new orders until reopened (or until `until`)
+app.put('/api/restaurants/:restaurantId/status', resolveRestaurant, requireRestaurantStaff, validateBody(restaurantStatusSchema), (req, res) => {
+    try {
+        const { errors, restaurant } = setRestaurantStatus(req.restaurant, req.body, toActor(req.user));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        res.json({
+            success: true,
+            message: `Restaurant is now ${restaurant.status}`,
+            data: withAvailability(restaurant)
+        });
+    } catch (error) {
+        console.error('❌ Error updating restaurant status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update restaurant status'
+        });
+    }
+});
+
+// Bookable delivery/pickup slots with remaining capacity - ?date=YYYY-MM-DD narrows it to one day
+app.get(['/api/slots', '/api/restaurants/:restaurantId/slots'], resolveRestaurant, (req, res) => {
+    try {
+        const { date } = req.query;
+        if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return sendValidationError(res, [{ field: 'date', message: 'date must be YYYY-MM-DD' }]);
+        }
+
+        const slots = listSlots(req.restaurant, {
+            date: date || null,
+            countBooked: (start) => countSlotBookings(req.restaurant.id, start)
+        });
+
+        res.json({
+            success: true,
+            data: slots,
+            count: slots.length
+        });
+    } catch (error) {
+        console.error('❌ Error listing slots:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list slots'
+        });
+    }
+});
+
+// Menu APIs - /api/menu is kept as an alias for the default restaurant
+app.get(['/api/menu', '/api/restaurants/:restaurantId/menu'], resolveRestaurant, (req, res) => {
+    try {
+        const menuItems = getRestaurantMenu(req.restaurant.id);
+        res.json({
+            success: true,
+            data: menuItems,
+            count: menuItems.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching menu:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch menu'
+        });
+    }
+});
+
+app.post(['/api/menu', '/api/restaurants/:restaurantId/menu'], limit('menuWrite'), resolveRestaurant, requireRestaurantStaff, validateBody(menuItemSchema), (req, res) => {
+    try {
+        const optionErrors = validateOptionGroups(req.body.optionGroups);
+        if (optionErrors.length > 0) {
+            return sendValidationError(res, optionErrors);
+        }
+
+        const newItem = {
+            id: Date.now(),
+            lowStockThreshold: DEFAULT_LOW_STOCK_THRESHOLD,
+            ...req.body,
+            stock: null,
+            soldOut: false,
+            rating: null,
+            ratingCount: 0,
+            restaurantId: req.restaurant.id,
+            available: true,
+            createdAt: new Date().toISOString()
+        };
+        menuRepo.insert(newItem);
+
+        // Notify clients watching this menu
+        broadcastMenu(req.restaurant.id);
+
+        console.log(`✅ New menu item added to ${req.restaurant.id}: ${newItem.name}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Menu item added successfully',
+            data: newItem
+        });
+    } catch (error) {
+        console.error('❌ Error adding menu item:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add menu item'
+        });
+    }
+});
+
+app.put(['/api/menu/:id', '/api/restaurants/:restaurantId/menu/:id'], limit('menuWrite'), resolveRestaurant, requireRestaurantStaff, validateBody(menuItemSchema, { partial: true }), (req, res) => {
+    try {
+        const optionErrors = validateOptionGroups(req.body.optionGroups);
+        if (optionErrors.length > 0) {
+            return sendValidationError(res, optionErrors);
+        }
+
+        const itemId = parseInt(req.params.id);
+        const existingItem = menuRepo.findById(itemId);
+
+        if (existingItem && existingItem.restaurantId === req.restaurant.id) {
+            const changes = {
+                ...req.body,
+                restaurantId: req.restaurant.id,
+                updatedAt: new Date().toISOString()
+            };
+            // A manual availability change overrides the automatic sold-out switch
+            if (req.body.available !== undefined) {
+                changes.soldOut = false;
+            }
+            const updatedItem = menuRepo.update(itemId, changes);
+
+            // Notify clients watching this menu
+            broadcastMenu(req.restaurant.id);
+
+            console.log(`✅ Menu item updated: ${updatedItem.name}`);
+
+            res.json({
+                success: true,
+                message: 'Menu item updated successfully',
+                data: updatedItem
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Menu item not found'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Error updating menu item:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update menu item'
+        });
+    }
+});
+
+app.delete(['/api/menu/:id', '/api/restaurants/:restaurantId/menu/:id'], limit('menuWrite'), resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const itemId = parseInt(req.params.id);
+        const existingItem = menuRepo.findById(itemId);
+
+        if (existingItem && existingItem.restaurantId === req.restaurant.id) {
+            const deletedItem = menuRepo.remove(itemId);
+
+            // Notify clients watching this menu
+            broadcastMenu(req.restaurant.id);
+
+            console.log(`✅ Menu item deleted: ${deletedItem.name}`);
+
+            res.json({
+                success: true,
+                message: 'Menu item deleted successfully'
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Menu item not found'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Error deleting menu item:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete menu item'
+        });
+    }
+});
+
+// Inventory APIs
+app.get(['/api/inventory', '/api/restaurants/:restaurantId/inventory'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const items = menuRepo.filter(item => item.restaurantId === req.restaurant.id).map(item => ({
+            id: item.id,
+            name: item.name,
+            tracked: isTracked(item),
+            stock: item.stock,
+            lowStockThreshold: item.lowStockThreshold,
+            lowStock: isLowStock(item),
+            soldOut: Boolean(item.soldOut),
+            available: item.available
+        }));
+
+        res.json({
+            success: true,
+            data: items,
+            count: items.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching inventory:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch inventory'
+        });
+    }
+});
+
+// Audit trail of every stock movement, newest first (?itemId= narrows it to one item)
+app.get(['/api/inventory/log', '/api/restaurants/:restaurantId/inventory/log'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const itemId = req.query.itemId ? parseInt(req.query.itemId) : null;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const entries = inventoryLogRepo
+            .filter(entry => entry.restaurantId === req.restaurant.id && (itemId === null || entry.itemId === itemId))
+            .sort((a, b) => b.at.localeCompare(a.at))
+            .slice(0, limit);
+
+        res.json({
+            success: true,
+            data: entries,
+            count: entries.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching inventory log:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch inventory log'
+        });
+    }
+});
+
+app.post(['/api/menu/:id/restock', '/api/restaurants/:restaurantId/menu/:id/restock'], limit('menuWrite'), resolveRestaurant, requireRestaurantStaff, validateBody(restockSchema), (req, res) => {
+    try {
+        const hasQuantity = req.body.quantity !== undefined;
+        const hasStock = req.body.stock !== undefined;
+        if (hasQuantity === hasStock) {
+            return sendValidationError(res, [{ field: 'quantity', message: 'Provide either quantity or stock' }]);
+        }
+
+        const item = menuRepo.findById(parseInt(req.params.id));
+        if (!item || item.restaurantId !== req.restaurant.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Menu item not found'
+            });
+        }
+
+        const updatedItem = inventory.restock(item, req.body, toActor(req.user));
+        broadcastStockChanges(req.restaurant.id, [updatedItem]);
+
+        console.log(`✅ Stock for ${updatedItem.name} is now ${updatedItem.stock === null ? 'untracked' : updatedItem.stock}`);
+
+        res.json({
+            success: true,
+            message: 'Stock updated successfully',
+            data: updatedItem
+        });
+    } catch (error) {
+        console.error('❌ Error restocking menu item:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update stock'
+        });
+    }
+});
+
+// Coupon APIs - restaurant staff manage their outlet's codes
+const withUsage = (coupon) => ({
+    ...coupon,
+    usageCount: liveRedemptions(coupon.id).length
+});
+
+app.get(['/api/coupons', '/api/restaurants/:restaurantId/coupons'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const coupons = couponRepo
+            .filter(coupon => coupon.restaurantId === req.restaurant.id)
+            .map(withUsage);
+
+        res.json({
+            success: true,
+            data: coupons,
+            count: coupons.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching coupons:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch coupons'
+        });
+    }
+});
+
+app.post(['/api/coupons', '/api/restaurants/:restaurantId/coupons'], resolveRestaurant, requireRestaurantStaff, validateBody(couponSchema), (req, res) => {
+    try {
+        const validationErrors = validateCouponSettings(req.body);
+        if (validationErrors.length > 0) {
+            return sendValidationError(res, validationErrors);
+        }
+
+        if (findCoupon(req.restaurant.id, req.body.code)) {
+            return res.status(409).json({
+                success: false,
+                message: `Coupon ${req.body.code} already exists`
+            });
+        }
+
+        const coupon = couponRepo.insert({
+            id: `cpn_${crypto.randomBytes(6).toString('hex')}`,
+            ...req.body,
+            restaurantId: req.restaurant.id,
+            createdBy: req.user.id,
+            createdAt: new Date().toISOString()
+        });
+
+        console.log(`✅ Coupon ${coupon.code} created for ${req.restaurant.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: withUsage(coupon)
+        });
+    } catch (error) {
+        console.error('❌ Error creating coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create coupon'
+        });
+    }
+});
+
+app.put(['/api/coupons/:couponId', '/api/restaurants/:restaurantId/coupons/:couponId'], resolveRestaurant, requireRestaurantStaff, validateBody(couponSchema, { partial: true }), (req, res) => {
+    try {
+        const coupon = couponRepo.findById(req.params.couponId);
+        if (!coupon || coupon.restaurantId !== req.restaurant.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const validationErrors = validateCouponSettings({ ...coupon, ...req.body });
+        if (validationErrors.length > 0) {
+            return sendValidationError(res, validationErrors);
+        }
+
+        const duplicate = req.body.code && findCoupon(req.restaurant.id, req.body.code);
+        if (duplicate && duplicate.id !== coupon.id) {
+            return res.status(409).json({
+                success: false,
+                message: `Coupon ${req.body.code} already exists`
+            });
+        }
+
+        const updatedCoupon = couponRepo.update(coupon.id, {
+            ...req.body,
+            updatedAt: new Date().toISOString()
+        });
+
+        console.log(`✅ Coupon updated: ${updatedCoupon.code}`);
+
+        res.json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: withUsage(updatedCoupon)
+        });
+    } catch (error) {
+        console.error('❌ Error updating coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update coupon'
+        });
+    }
+});
+
+// Redemption history is kept - orders still reference the code
+app.delete(['/api/coupons/:couponId', '/api/restaurants/:restaurantId/coupons/:couponId'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const coupon = couponRepo.findById(req.params.couponId);
+        if (!coupon || coupon.restaurantId !== req.restaurant.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        couponRepo.remove(coupon.id);
+
+        console.log(`✅ Coupon deleted: ${coupon.code}`);
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete coupon'
+        });
+    }
+});
+
+// Cart check before checkout - returns the discount and the resulting totals
+app.post(['/api/coupons/validate', '/api/restaurants/:restaurantId/coupons/validate'], resolveRestaurant, requireRole(ROLES.CUSTOMER), validateBody(couponValidationSchema), (req, res) => {
+    try {
+        const findRestaurantMenuItem = (id) => {
+            const menuItem = findMenuItem(id);
+            return menuItem && menuItem.restaurantId === req.restaurant.id ? menuItem : null;
+        };
+        const { errors: pricingErrors, pricing: itemPricing } = priceOrder(req.body.items, findRestaurantMenuItem);
+        if (pricingErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some items could not be ordered',
+                errors: pricingErrors
+            });
+        }
+
+        // Without a deliverable address the flat fee stands in for the delivery charge
+        const { quote } = quoteDelivery(req.restaurant, req.body.address, itemPricing.subtotal);
+        const cartPricing = quote ? applyDeliveryQuote(itemPricing, quote) : itemPricing;
+        const { errors, pricing } = applyCoupon(req.restaurant, cartPricing, req.body.code, req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                valid: errors.length === 0,
+                errors,
+                discount: pricing ? pricing.discount : null,
+                pricing: pricing || cartPricing
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error validating coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to validate coupon'
+        });
+    }
+});
+
+// Delivery quote - the checkout screen calls this before placing an order.
+// Out-of-zone addresses are an answer, not an error: serviceable is false.
+app.post(['/api/delivery/quote', '/api/restaurants/:restaurantId/delivery/quote'], resolveRestaurant, validateBody(deliveryQuoteSchema), (req, res) => {
+    try {
+        const findRestaurantMenuItem = (id) => {
+            const menuItem = findMenuItem(id);
+            return menuItem && menuItem.restaurantId === req.restaurant.id ? menuItem : null;
+        };
+        const { errors: pricingErrors, pricing } = priceOrder(req.body.items, findRestaurantMenuItem);
+        if (pricingErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some items could not be ordered',
+                errors: pricingErrors
+            });
+        }
+
+        const { errors, quote } = quoteDelivery(req.restaurant, req.body.address, pricing.subtotal);
+
+        res.json({
+            success: true,
+            data: {
+                serviceable: errors.length === 0,
+                errors,
+                quote,
+                pricing: quote ? applyDeliveryQuote(pricing, quote) : null
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error quoting delivery:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to quote delivery'
+        });
+    }
+});
+
+// Order APIs
+app.get('/api/orders', requireRole(ROLES.RESTAURANT, ROLES.CUSTOMER), (req, res) => {
+    try {
+        const { errors: queryErrors, criteria } = parseOrderQuery(req.query);
+        if (queryErrors.length > 0) {
+            return sendValidationError(res, queryErrors);
+        }
+
+        // Customers only ever see their own orders, outlet staff only their outlet's
+        // released orders. Platform admins see every outlet, optionally narrowed
+        // with ?restaurantId=
+        let predicate;
+        if (req.user.role === ROLES.CUSTOMER) {
+            predicate = order => order.customerId === req.user.id;
+        } else if (isPlatformAdmin(req.user)) {
+            predicate = order => order.releasedAt &&
+                (!req.query.restaurantId || order.restaurantId === req.query.restaurantId);
+        } else {
+            predicate = order => order.releasedAt && order.restaurantId === req.user.restaurantId;
+        }
+
+        // Filters, search, sort (newest first by default) and pagination
+        const { data, pagination } = queryOrders(orderRepo.filter(predicate).reverse(), criteria);
+        res.json({
+            success: true,
+            data,
+            count: data.length,
+            pagination
+        });
+    } catch (error) {
+        console.error('❌ Error fetching orders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch orders'
+        });
+    }
+});
+
+// Orders booked for a later slot that the kitchen hasn't been sent yet
+app.get(['/api/orders/scheduled', '/api/restaurants/:restaurantId/orders/scheduled'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const orders = orderRepo
+            .filter(order => order.restaurantId === req.restaurant.id && order.scheduledFor && !order.releasedAt &&
+                order.status === ORDER_STATUS.PENDING)
+            .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+
+        res.json({
+            success: true,
+            data: orders,
+            count: orders.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching scheduled orders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch scheduled orders'
+        });
+    }
+});
+
+app.get('/api/orders/:id', requireRole(ROLES.RESTAURANT, ROLES.CUSTOMER), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        const canView = order && (req.user.role === ROLES.CUSTOMER
+            ? order.customerId === req.user.id
+            : order.releasedAt && canManageRestaurant(req.user, order.restaurantId));
+
+        if (!canView) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('❌ Error fetching order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch order'
+        });
+    }
+});
+
+// Rebuilds a cart from a past order against the current menu. Nothing is
+// ordered - the app shows the issues and posts the cart to /api/orders.
+app.post('/api/orders/:id/reorder', requireRole(ROLES.CUSTOMER), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        if (!order || !isCustomerOrder(order, req.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const { items, issues } = buildReorder(order, findMenuItem);
+        const restaurant = restaurantRepo.findById(order.restaurantId);
+        const { pricing } = items.length > 0
+            ? priceOrder(items, findMenuItem)
+            : { pricing: null };
+
+        res.json({
+            success: true,
+            message: issues.length > 0 ? 'Some items have changed since your last order' : 'Your cart is ready',
+            data: {
+                restaurantId: order.restaurantId,
+                items,
+                issues,
+                pricing,
+                availability: restaurant ? getAvailability(restaurant) : null
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error rebuilding order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rebuild order'
+        });
+    }
+});
+
+// Retries carrying the same Idempotency-Key get the original response back
+app.post('/api/orders', limit('orders'), requireRole(ROLES.CUSTOMER), validateBody(orderSchema), idempotency.middleware('orders:create'), async (req, res) => {
+    try {
+        const restaurant = restaurantRepo.findById(req.body.restaurantId || DEFAULT_RESTAURANT_ID);
+        if (!restaurant) {
+            return sendValidationError(res, [{ field: 'restaurantId', message: `Unknown restaurant: ${req.body.restaurantId}` }]);
+        }
+
+        // Scheduled orders only need their slot to be open - within opening hours
+        // and clear of any busy/paused spell (checked by resolveSlot)
+        const availability = getAvailability(restaurant);
+        if (!availability.isOpen && !req.body.scheduledFor) {
+            return res.status(409).json({
+                success: false,
+                message: `${restaurant.name} is not accepting orders right now: ${availability.reason}`,
+                data: availability
+            });
+        }
+
+        // A saved address stands in for the one in the body
+        if (req.body.customerInfo.addressId) {
+            const savedAddress = (customerRepo.findById(req.user.id).addresses || [])
+                .find(address => address.id === req.body.customerInfo.addressId);
+            if (!savedAddress) {
+                return sendValidationError(res, [{ field: 'customerInfo.addressId', message: 'Saved address not found' }]);
+            }
+            const { id, label, isDefault, ...address } = savedAddress;
+            req.body.customerInfo.address = address;
+        }
+
+        // Price the order from this restaurant's menu - client prices are ignored
+        const findRestaurantMenuItem = (id) => {
+            const menuItem = findMenuItem(id);
+            return menuItem && menuItem.restaurantId === restaurant.id ? menuItem : null;
+        };
+        const { errors: pricingErrors, pricing: itemPricing } = priceOrder(req.body.items, findRestaurantMenuItem);
+        if (pricingErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some items could not be ordered',
+                errors: pricingErrors
+            });
+        }
+
+        // Delivery area, minimum order and the distance-based fee - pickup skips all three
+        const { fulfillment } = req.body;
+        let fulfilledPricing = applyPickup(itemPricing);
+        if (fulfillment === FULFILLMENT.DELIVERY) {
+            const { errors: deliveryErrors, quote } = quoteDelivery(restaurant, req.body.customerInfo.address, itemPricing.subtotal);
+            if (deliveryErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This order cannot be delivered',
+                    errors: deliveryErrors.map(error => (error.field === 'address'
+                        ? { ...error, field: 'customerInfo.address' }
+                        : error))
+                });
+            }
+            fulfilledPricing = applyDeliveryQuote(itemPricing, quote);
+        }
+        const { errors: couponErrors, pricing } = applyCoupon(
+            restaurant,
+            fulfilledPricing,
+            req.body.couponCode,
+            req.user.id
+        );
+        if (couponErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon could not be applied',
+                errors: couponErrors
+            });
+        }
+
+        if (!totalsMatch(req.body.total, pricing.total)) {
+            return res.status(400).json({
+                success: false,
+                message: `Order total mismatch: expected ₹${pricing.total} but received ₹${req.body.total}`,
+                errors: [{ field: 'total', message: 'Prices have changed - please review your cart and try again' }],
+                data: pricing
+            });
+        }
+
+        // A booked slot must be in opening hours, have room, and leave the kitchen
+        // enough time to cook (and deliver) this particular order
+        let slot = null;
+        let releaseAt = null;
+        if (req.body.scheduledFor) {
+            const leadMinutes = leadMinutesFor(cookMinutes(pricing.items, prepTimeOf), handoffMinutes({ fulfillment }));
+            const { errors: slotErrors, slot: bookedSlot } = resolveSlot(restaurant, req.body.scheduledFor, {
+                leadMinutes,
+                countBooked: (start) => countSlotBookings(restaurant.id, start)
+            });
+            if (slotErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This time slot cannot be booked',
+                    errors: slotErrors
+                });
+            }
+            if (bookedSlot.remaining === 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This time slot is fully booked - please choose another one',
+                    errors: [{ field: 'scheduledFor', message: 'Slot is fully booked' }]
+                });
+            }
+
+            slot = { start: bookedSlot.start, end: bookedSlot.end, date: bookedSlot.date, time: bookedSlot.time };
+            releaseAt = releaseAtFor(bookedSlot.start, leadMinutes);
+        }
+
+        // The same cart from the same customer moments apart is nearly always a
+        // double tap or a retry sent without an Idempotency-Key
+        const fingerprint = cartFingerprint({
+            restaurantId: restaurant.id,
+            fulfillment,
+            scheduledFor: slot ? slot.start : null,
+            items: pricing.items
+        });
+        const checkoutKey = `${req.user.id}:${fingerprint}`;
+        const duplicate = req.body.allowDuplicate ? null : findRecentDuplicate(req.user.id, fingerprint);
+        if (duplicate || checkoutsInFlight.has(checkoutKey)) {
+            return res.status(409).json({
+                success: false,
+                message: duplicate
+                    ? `You placed this exact order (#${duplicate.orderNumber}) moments ago - send allowDuplicate to order it again`
+                    : 'This order is already being placed',
+                errors: [{ field: 'items', message: 'Duplicate of a recent order' }],
+                data: duplicate ? { duplicateOf: duplicate.id, orderNumber: duplicate.orderNumber, status: duplicate.status, createdAt: duplicate.createdAt } : null
+            });
+        }
+
+        // Customer info has already been sanitized by the order schema
+        const { paymentMethod } = req.body;
+        const customerInfo = {
+            ...req.body.customerInfo,
+            address: req.body.customerInfo.address || null
+        };
+
+        // Create new order with enhanced data
+        const createdAt = new Date().toISOString();
+        const newOrder = {
+            id: createOrderId(),
+            restaurantId: restaurant.id,
+            customerId: req.user.id,
+            items: pricing.items.map(line => ({
+                id: line.id,
+                name: line.name,
+                price: line.unitPrice,
+                quantity: line.quantity,
+                options: line.options
+            })),
+            subtotal: pricing.subtotal,
+            deliveryCharge: pricing.deliveryCharge,
+            total: pricing.total,
+            pricing,
+            couponCode: pricing.discount ? pricing.discount.code : null,
+            discount: pricing.discount || null,
+            customerInfo,
+            fulfillment,
+            scheduledFor: slot ? slot.start : null,
+            slot,
+            releaseAt,
+            cartFingerprint: fingerprint,
+            paymentMethod,
+            paymentStatus: PAYMENT_STATUS.PENDING,
+            releasedAt: null,
+            delivery: null,
+            status: ORDER_STATUS.PENDING,
+            statusHistory: [
+                createHistoryEntry(null, ORDER_STATUS.PENDING, toActor(req.user), null, createdAt)
+            ],
+            createdAt,
+            // Scheduled orders arrive by the end of their slot
+            estimatedTime: slot
+                ? Math.ceil((new Date(slot.end) - new Date(createdAt)) / 60000)
+                : calculateEstimatedTime(restaurant, pricing.items, fulfillment)
+        };
+
+        // Take the stock before anything async happens so two checkouts
+        // can never sell the same last unit
+        const { errors: stockErrors, items: stockItems } = inventory.reserveForOrder(newOrder.id, pricing.items, toActor(req.user));
+        if (stockErrors.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some items are out of stock',
+                errors: stockErrors
+            });
+        }
+        newOrder.stockReserved = stockItems.length > 0;
+        broadcastStockChanges(restaurant.id, stockItems);
+
+        // Counted right away so the usage limits hold while payment is pending
+        if (newOrder.discount) {
+            couponRedemptionRepo.insert({
+                id: `red_${crypto.randomBytes(6).toString('hex')}`,
+                couponId: newOrder.discount.couponId,
+                code: newOrder.discount.code,
+                restaurantId: restaurant.id,
+                orderId: newOrder.id,
+                customerId: req.user.id,
+                amount: newOrder.discount.amount,
+                redeemedAt: createdAt,
+                voidedAt: null
+            });
+        }
+
+        // Online orders get a gateway payment first - if the gateway is down
+        // no order is stored at all
+        let payment = null;
+        if (isOnlinePaymentMethod(paymentMethod)) {
+            checkoutsInFlight.add(checkoutKey);
+            if (slot) {
+                holdSlot(restaurant.id, slot.start);
+            }
+            try {
+                payment = await createOrderPayment(newOrder);
+            } catch (error) {
+                checkoutsInFlight.delete(checkoutKey);
+                console.error('❌ Error creating payment:', error);
+                if (newOrder.stockReserved) {
+                    const restored = inventory.releaseForOrder(newOrder.id, newOrder.items, toActor(req.user), 'Payment gateway unavailable');
+                    broadcastStockChanges(restaurant.id, restored);
+                }
+                voidCouponRedemption(newOrder.id, 'Payment gateway unavailable');
+                return res.status(502).json({
+                    success: false,
+                    message: 'Payment gateway is unavailable - please try again or choose cash on delivery'
+                });
+            } finally {
+                // The order is stored below without another await, so the slot
+                // is never left uncounted in between
+                if (slot) {
+                    releaseSlotHold(restaurant.id, slot.start);
+                }
+            }
+        }
+
+        checkoutsInFlight.delete(checkoutKey);
+
+        // Numbered only once it is really stored, so failed checkouts leave no gaps
+        Object.assign(newOrder, orderNumberer.next(restaurant, new Date(createdAt)));
+        orderRepo.insert({ ...newOrder, paymentId: payment ? payment.id : null });
+
+        const savedOrder = payment ? orderRepo.findById(newOrder.id) : releaseIfDue(newOrder);
+
+        console.log(`✅ New order created: ${savedOrder.id} - ₹${savedOrder.total} (${paymentMethod})`);
+
+        let message = slot ? `Order scheduled for ${slot.date} ${slot.time}` : 'Order placed successfully';
+        if (payment) {
+            message = 'Order created - complete payment to confirm it';
+        }
+
+        res.status(201).json({
+            success: true,
+            message,
+            data: savedOrder,
+            payment: payment ? { id: payment.id, status: payment.status, checkout: payment.checkout } : null
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create order',
+            error: NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+app.put('/api/orders/:id/status', requireRole(ROLES.RESTAURANT), validateBody(orderStatusSchema), (req, res) => {
+    try {
+        const orderId = req.params.id;
+        const { status } = req.body;
+        const order = orderRepo.findById(orderId);
+
+        if (order && order.releasedAt && canManageRestaurant(req.user, order.restaurantId)) {
+            // Once a rider has the order, only their pickup/drop-off codes move it on
+            const riderSteps = [ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.DELIVERED];
+            if (riderSteps.includes(status) && isActiveDelivery(order.delivery)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This order is with a rider - it moves on when the rider confirms pickup and drop-off',
+                    allowedStatuses: getAllowedTransitions(order.status, order.fulfillment).filter(next => !riderSteps.includes(next))
+                });
+            }
+
+            // Only legal lifecycle transitions are accepted
+            const { errors: transitionErrors, order: updatedOrder } = commitOrderTransition(order, status, {
+                actor: toActor(req.user),
+                reason: req.body.reason
+            });
+            if (transitionErrors.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Invalid status change',
+                    errors: transitionErrors,
+                    allowedStatuses: getAllowedTransitions(order.status, order.fulfillment)
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Order status updated successfully',
+                data: updatedOrder
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Error updating order status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update order status'
+        });
+    }
+});
+
+// Cancellation - customers cancel straight away until the kitchen starts cooking,
+// after that it becomes a request the restaurant approves or declines. Staff
+// cancel directly. Refunds, stock and coupons are handled by the transition.
+app.post('/api/orders/:id/cancel', requireRole(ROLES.RESTAURANT, ROLES.CUSTOMER), validateBody(cancelOrderSchema), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        const isCustomer = order && req.user.role === ROLES.CUSTOMER && order.customerId === req.user.id;
+        const isStaff = order && Boolean(order.releasedAt || order.scheduledFor) && canManageRestaurant(req.user, order.restaurantId);
+        if (!isCustomer && !isStaff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const actor = toActor(req.user);
+        const { reason } = req.body;
+        const policy = cancellationPolicy(order, { byStaff: isStaff });
+        if (!policy.allowed) {
+            return res.status(409).json({
+                success: false,
+                message: policy.message,
+                data: { status: order.status, cancellation: order.cancellation || null }
+            });
+        }
+
+        if (policy.requiresApproval) {
+            const now = new Date().toISOString();
+            const updatedOrder = orderRepo.update(order.id, {
+                cancellation: { status: CANCELLATION_STATUS.REQUESTED, reason, requestedBy: actor, requestedAt: now },
+                updatedAt: now
+            });
+
+            emitSequenced([restaurantRoom(order.restaurantId), orderRoom(order.id), customerRoom(order.customerId)], 'cancellationRequested', {
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                reason,
+                requestedBy: actor,
+                timestamp: now
+            });
+            notifier.notify('restaurant', order.restaurantId, NOTIFICATION_EVENTS.CANCELLATION_REQUESTED, {
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                reason
+            });
+            console.log(`⚠️ Cancellation requested for ${order.status} order ${order.id}`);
+
+            return res.status(202).json({
+                success: true,
+                message: 'Your order is already being prepared - the restaurant has been asked to approve the cancellation',
+                data: updatedOrder
+            });
+        }
+
+        const { errors, order: cancelledOrder } = commitOrderTransition(order, ORDER_STATUS.CANCELLED, { actor, reason });
+        if (errors.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order cannot be cancelled',
+                errors
+            });
+        }
+
+        res.json({
+            success: true,
+            message: cancelledOrder.refund ? 'Order cancelled - your refund has been started' : 'Order cancelled',
+            data: cancelledOrder
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order'
+        });
+    }
+});
+
+// Staff answer a customer's cancellation request
+const findCancellationRequest = (req, res) => {
+    const order = orderRepo.findById(req.params.id);
+    if (!order || !order.releasedAt || !canManageRestaurant(req.user, order.restaurantId)) {
+        res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+        return null;
+    }
+    if (!hasPendingRequest(order)) {
+        res.status(409).json({
+            success: false,
+            message: 'This order has no open cancellation request'
+        });
+        return null;
+    }
+    return order;
+};
+
+app.post('/api/orders/:id/cancel/approve', requireRole(ROLES.RESTAURANT), (req, res) => {
+    try {
+        const order = findCancellationRequest(req, res);
+        if (!order) return;
+
+        const { errors, order: cancelledOrder } = commitOrderTransition(order, ORDER_STATUS.CANCELLED, {
+            actor: toActor(req.user),
+            reason: order.cancellation.reason
+        });
+        if (errors.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order cannot be cancelled',
+                errors
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Cancellation approved',
+            data: cancelledOrder
+        });
+    } catch (error) {
+        console.error('❌ Error approving cancellation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve cancellation'
+        });
+    }
+});
+
+app.post('/api/orders/:id/cancel/decline', requireRole(ROLES.RESTAURANT), validateBody(cancelOrderSchema), (req, res) => {
+    try {
+        const order = findCancellationRequest(req, res);
+        if (!order) return;
+
+        const actor = toActor(req.user);
+        const now = new Date().toISOString();
+        const updatedOrder = orderRepo.update(order.id, {
+            cancellation: {
+                ...order.cancellation,
+                status: CANCELLATION_STATUS.DECLINED,
+                declinedBy: actor,
+                declinedAt: now,
+                declineReason: req.body.reason
+            },
+            updatedAt: now
+        });
+
+        emitSequenced([orderRoom(order.id), customerRoom(order.customerId), restaurantRoom(order.restaurantId)], 'cancellationDeclined', {
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            reason: req.body.reason,
+            declinedBy: actor,
+            timestamp: now
+        });
+        notifier.notify('customer', order.customerId, NOTIFICATION_EVENTS.CANCELLATION_DECLINED, {
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            reason: req.body.reason
+        });
+        console.log(`✅ Cancellation of order ${order.id} declined`);
+
+        res.json({
+            success: true,
+            message: 'Cancellation declined',
+            data: updatedOrder
+        });
+    } catch (error) {
+        console.error('❌ Error declining cancellation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to decline cancellation'
+        });
+    }
+});
+
+// Refund records for the outlet, newest first (?status=pending|processed|failed)
+app.get(['/api/refunds', '/api/restaurants/:restaurantId/refunds'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status !== undefined && !Object.values(REFUND_STATUS).includes(status)) {
+            return sendValidationError(res, [{
+                field: 'status',
+                message: `status must be one of: ${Object.values(REFUND_STATUS).join(', ')}`
+            }]);
+        }
+
+        const refunds = refundRepo
+            .filter(refund => refund.restaurantId === req.restaurant.id && (!status || refund.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        res.json({
+            success: true,
+            data: refunds,
+            count: refunds.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching refunds:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refunds'
+        });
+    }
+});
+
+// Sends a failed refund to the gateway again
+app.post(['/api/refunds/:refundId/retry', '/api/restaurants/:restaurantId/refunds/:refundId/retry'], resolveRestaurant, requireRestaurantStaff, async (req, res) => {
+    try {
+        const refund = refundRepo.findById(req.params.refundId);
+        if (!refund || refund.restaurantId !== req.restaurant.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Refund not found'
+            });
+        }
+        if (refund.status !== REFUND_STATUS.FAILED) {
+            return res.status(409).json({
+                success: false,
+                message: `Only failed refunds can be retried (refund is ${refund.status})`
+            });
+        }
+
+        syncOrderRefund(refundRepo.update(refund.id, {
+            status: REFUND_STATUS.PENDING,
+            updatedAt: new Date().toISOString()
+        }));
+        const retried = await processRefund(refundRepo.findById(refund.id));
+
+        res.status(retried.status === REFUND_STATUS.FAILED ? 502 : 200).json({
+            success: retried.status !== REFUND_STATUS.FAILED,
+            message: retried.status === REFUND_STATUS.FAILED ? 'Payment gateway rejected the refund - please try again later' : 'Refund sent',
+            data: retried
+        });
+    } catch (error) {
+        console.error('❌ Error retrying refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry refund'
+        });
+    }
+});
+
+// Kitchen display - queued orders' lines grouped by station, in cooking order.
+// The same feed is pushed as `kitchenDisplay` whenever the queue changes.
+app.get(['/api/kitchen/display', '/api/restaurants/:restaurantId/kitchen/display'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: getKitchenDisplay(req.restaurant)
+        });
+    } catch (error) {
+        console.error('❌ Error building kitchen display:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch kitchen display'
+        });
+    }
+});
+
+// The kitchen has seen a new order - stops its re-alerts
+app.post('/api/orders/:id/acknowledge', requireRole(ROLES.RESTAURANT), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        if (!order || !order.releasedAt || !canManageRestaurant(req.user, order.restaurantId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Order acknowledged',
+            data: acknowledgeOrder(order, toActor(req.user))
+        });
+    } catch (error) {
+        console.error('❌ Error acknowledging order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to acknowledge order'
+        });
+    }
+});
+
+// Delivery APIs - riders belong to one outlet and are managed by its staff
+app.get(['/api/riders', '/api/restaurants/:restaurantId/riders'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const riders = riderRepo
+            .filter(rider => rider.restaurantId === req.restaurant.id)
+            .map(toPublicUser);
+
+        res.json({
+            success: true,
+            data: riders,
+            count: riders.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching riders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch riders'
+        });
+    }
+});
+
+app.post(['/api/riders', '/api/restaurants/:restaurantId/riders'], resolveRestaurant, requireRestaurantStaff, validateBody(riderSchema), (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+        if (riderRepo.find(rider => rider.phone === phone)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A rider with this phone already exists'
+            });
+        }
+
+        const rider = riderRepo.insert({
+            id: `rider_${crypto.randomBytes(6).toString('hex')}`,
+            role: ROLES.RIDER,
+            name: req.body.name,
+            phone,
+            vehicle: req.body.vehicle || null,
+            passwordHash: hashPassword(req.body.password),
+            restaurantId: req.restaurant.id,
+            status: RIDER_STATUS.OFFLINE,
+            location: null,
+            activeOrderId: null,
+            availableSince: null,
+            createdBy: req.user.id,
+            createdAt: new Date().toISOString()
+        });
+
+        console.log(`✅ Rider account created: ${rider.id} for ${req.restaurant.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Rider account created successfully',
+            data: toPublicUser(rider)
+        });
+    } catch (error) {
+        console.error('❌ Error creating rider:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create rider account'
+        });
+    }
+});
+
+// A rider's own deliveries, current one first
+app.get('/api/riders/me/deliveries', requireRole(ROLES.RIDER), (req, res) => {
+    try {
+        const deliveries = deliveryRepo
+            .filter(delivery => delivery.riderId === req.user.id)
+            .sort((a, b) => Number(isActiveDelivery(b)) - Number(isActiveDelivery(a)) ||
+                b.assignedAt.localeCompare(a.assignedAt))
+            .map(({ pickupOtp, dropoffOtp, ...delivery }) => ({
+                ...delivery,
+                order: orderRepo.findById(delivery.orderId)
+            }));
+
+        res.json({
+            success: true,
+            data: deliveries,
+            count: deliveries.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching rider deliveries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch deliveries'
+        });
+    }
+});
+
+app.post('/api/orders/:id/assign-rider', requireRole(ROLES.RESTAURANT), validateBody(assignRiderSchema), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        if (!order || !order.releasedAt || !canManageRestaurant(req.user, order.restaurantId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.fulfillment === FULFILLMENT.PICKUP) {
+            return res.status(409).json({
+                success: false,
+                message: 'Pickup orders are collected by the customer'
+            });
+        }
+
+        if (order.status !== ORDER_STATUS.READY) {
+            return res.status(409).json({
+                success: false,
+                message: `Only ready orders can be assigned to a rider (order is ${order.status})`
+            });
+        }
+
+        let rider = null;
+        let distanceKm = null;
+        if (req.body.riderId) {
+            rider = riderRepo.findById(req.body.riderId);
+            if (!rider || rider.restaurantId !== order.restaurantId) {
+                return sendValidationError(res, [{ field: 'riderId', message: `Unknown rider: ${req.body.riderId}` }]);
+            }
+            // The current rider is freed by the reassignment, so they can be picked again
+            if (rider.status !== RIDER_STATUS.AVAILABLE && rider.activeOrderId !== order.id) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${rider.name} is ${rider.status}`
+                });
+            }
+        } else {
+            const restaurant = restaurantRepo.findById(order.restaurantId);
+            const [nearest] = rankRiders(
+                riderRepo.filter(candidate => candidate.restaurantId === order.restaurantId),
+                restaurant.location
+            );
+            if (!nearest) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'No riders are available right now'
+                });
+            }
+            ({ rider, distanceKm } = nearest);
+        }
+
+        // Reassigning before pickup releases the previous rider - only once the
+        // new one is known to be free, so a refused reassignment changes nothing
+        if (isActiveDelivery(order.delivery)) {
+            cancelDelivery(order, 'Reassigned');
+        }
+
+        const updatedOrder = assignRider(orderRepo.findById(order.id), rider, toActor(req.user));
+        const delivery = findActiveDelivery(order.id);
+
+        res.json({
+            success: true,
+            message: `Order assigned to ${rider.name}`,
+            data: updatedOrder,
+            pickupOtp: delivery.pickupOtp,
+            distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100
+        });
+    } catch (error) {
+        console.error('❌ Error assigning rider:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to assign rider'
+        });
+    }
+});
+
+// Rider confirms a delivery step with the code the restaurant (pickup) or the
+// customer (drop-off) gives them
+const confirmDeliveryStep = (step) => (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        const delivery = order ? findActiveDelivery(order.id) : null;
+        if (!delivery || delivery.riderId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+
+        const expectedStatus = step === 'pickup' ? DELIVERY_STATUS.ASSIGNED : DELIVERY_STATUS.PICKED_UP;
+        if (delivery.status !== expectedStatus) {
+            return res.status(409).json({
+                success: false,
+                message: `Delivery is ${delivery.status}`
+            });
+        }
+
+        const { error, changes } = verifyDeliveryOtp(delivery, step, req.body.otp);
+        if (changes) {
+            deliveryRepo.update(delivery.id, changes);
+        }
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+                errors: [{ field: 'otp', message: error }]
+            });
+        }
+
+        const nextOrderStatus = step === 'pickup' ? ORDER_STATUS.OUT_FOR_DELIVERY : ORDER_STATUS.DELIVERED;
+        if (!canTransition(order.status, nextOrderStatus)) {
+            return res.status(409).json({
+                success: false,
+                message: `Order is ${order.status}`
+            });
+        }
+
+        // Update the delivery first so the status update carries the new snapshot
+        const now = new Date().toISOString();
+        const updatedDelivery = deliveryRepo.update(delivery.id, step === 'pickup'
+            ? { status: DELIVERY_STATUS.PICKED_UP, pickedUpAt: now }
+            : { status: DELIVERY_STATUS.DELIVERED, deliveredAt: now });
+        const rider = step === 'pickup' ? riderRepo.findById(req.user.id) : setRiderAvailable(req.user.id);
+        orderRepo.update(order.id, { delivery: toDeliverySnapshot(updatedDelivery, rider) });
+
+        const { order: updatedOrder } = commitOrderTransition(orderRepo.findById(order.id), nextOrderStatus, {
+            actor: toActor(req.user)
+        });
+
+        if (step === 'dropoff') {
+            riderLocationThrottle.forget(req.user.id);
+        }
+
+        console.log(`🛵 Rider ${req.user.id} confirmed ${step} for order ${order.id}`);
+
+        res.json({
+            success: true,
+            message: step === 'pickup' ? 'Pickup confirmed' : 'Delivery confirmed',
+            data: updatedOrder
+        });
+    } catch (error) {
+        console.error(`❌ Error confirming ${step}:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to confirm ${step}`
+        });
+    }
+};
+
+app.post('/api/orders/:id/pickup', requireRole(ROLES.RIDER), validateBody(deliveryOtpSchema), confirmDeliveryStep('pickup'));
+app.post('/api/orders/:id/dropoff', requireRole(ROLES.RIDER), validateBody(deliveryOtpSchema), confirmDeliveryStep('dropoff'));
+
+// Staff way out for a rider locked out by wrong codes - issues a fresh code for
+// the step the delivery is on and gives the rider a clean set of attempts. The
+// new code goes to whoever hands it over, never to the rider.
+app.post('/api/orders/:id/delivery/reissue-code', requireRole(ROLES.RESTAURANT), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        if (!order || !order.releasedAt || !canManageRestaurant(req.user, order.restaurantId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const delivery = findActiveDelivery(order.id);
+        if (!delivery) {
+            return res.status(409).json({
+                success: false,
+                message: 'This order has no active delivery'
+            });
+        }
+
+        const step = delivery.status === DELIVERY_STATUS.ASSIGNED ? 'pickup' : 'dropoff';
+        const otp = generateOtp();
+        deliveryRepo.update(delivery.id, { [`${step}Otp`]: otp, [`${step}Attempts`]: 0 });
+
+        if (step === 'pickup') {
+            emitSequenced(restaurantRoom(order.restaurantId), 'deliveryCodeReissued', { orderId: order.id, step, pickupOtp: otp });
+        } else {
+            emitSequenced(customerRoom(order.customerId), 'deliveryCodeReissued', { orderId: order.id, step, dropoffOtp: otp });
+        }
+
+        console.log(`🛵 New ${step} code issued for order ${order.id} by ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: step === 'pickup' ? 'New pickup code issued' : 'New drop-off code sent to the customer',
+            data: { orderId: order.id, step, pickupOtp: step === 'pickup' ? otp : undefined }
+        });
+    } catch (error) {
+        console.error('❌ Error reissuing delivery code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reissue delivery code'
+        });
+    }
+});
+
+// Current delivery for an order - each party only sees the code they hand out
+app.get('/api/orders/:id/delivery', requireRole(), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        const delivery = order ? findActiveDelivery(order.id) : null;
+        const isCustomer = order && order.customerId === req.user.id;
+        const isStaff = order && canManageRestaurant(req.user, order.restaurantId);
+        const isRider = delivery && delivery.riderId === req.user.id;
+
+        if (!order || !(isCustomer || isStaff || isRider)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!delivery) {
+            return res.json({
+                success: true,
+                data: order.delivery || null
+            });
+        }
+
+        const rider = riderRepo.findById(delivery.riderId);
+        res.json({
+            success: true,
+            data: {
+                ...order.delivery,
+                riderLocation: rider && rider.location,
+                pickupOtp: isStaff ? delivery.pickupOtp : undefined,
+                dropoffOtp: isCustomer ? delivery.dropoffOtp : undefined
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching delivery:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch delivery'
+        });
+    }
+});
+
+// Review APIs - one review per delivered order, rated by the customer who placed it
+
+// Recomputes item and restaurant ratings from published reviews and pushes the new menu
+const refreshRatings = (restaurantId, itemIds) => {
+    const reviews = reviewRepo.filter(review => review.restaurantId === restaurantId);
+
+    summarizeItemRatings(reviews, itemIds).forEach((summary, itemId) => {
+        if (menuRepo.findById(itemId)) {
+            menuRepo.update(itemId, summary);
+        }
+    });
+    restaurantRepo.update(restaurantId, summarizeOrderRatings(reviews));
+
+    broadcastMenu(restaurantId);
+};
+
+const reviewedItemIds = (review) => review.items.map(entry => entry.itemId);
+
+app.post('/api/orders/:id/review', requireRole(ROLES.CUSTOMER), validateBody(reviewSchema), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        if (!order || order.customerId !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status !== ORDER_STATUS.DELIVERED) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only delivered orders can be reviewed'
+            });
+        }
+
+        if (reviewRepo.find(review => review.orderId === order.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This order has already been reviewed'
+            });
+        }
+
+        const itemErrors = validateItemRatings(order, req.body.items);
+        if (itemErrors.length > 0) {
+            return sendValidationError(res, itemErrors);
+        }
+
+        const review = reviewRepo.insert({
+            id: `rev_${crypto.randomBytes(6).toString('hex')}`,
+            orderId: order.id,
+            restaurantId: order.restaurantId,
+            customerId: req.user.id,
+            customerName: req.user.name,
+            rating: req.body.rating,
+            comment: req.body.comment,
+            items: req.body.items.map(entry => ({
+                ...entry,
+                name: order.items.find(line => Number(line.id) === entry.itemId).name
+            })),
+            status: REVIEW_STATUS.PUBLISHED,
+            reply: null,
+            moderation: null,
+            createdAt: new Date().toISOString()
+        });
+
+        refreshRatings(order.restaurantId, reviewedItemIds(review));
+
+        emitSequenced(restaurantRoom(order.restaurantId), 'newReview', review);
+        notifier.notify('restaurant', order.restaurantId, NOTIFICATION_EVENTS.NEW_REVIEW, {
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            reviewId: review.id,
+            rating: review.rating,
+            customerName: review.customerName
+        });
+
+        console.log(`⭐ Order ${order.id} reviewed: ${review.rating}/5`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Thanks for your review',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error creating review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save review'
+        });
+    }
+});
+
+app.get('/api/orders/:id/review', requireRole(ROLES.CUSTOMER, ROLES.RESTAURANT), (req, res) => {
+    try {
+        const order = orderRepo.findById(req.params.id);
+        const canView = order && (order.customerId === req.user.id || canManageRestaurant(req.user, order.restaurantId));
+        const review = canView ? reviewRepo.find(candidate => candidate.orderId === order.id) : null;
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error fetching review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch review'
+        });
+    }
+});
+
+// Public listing shows published reviews; the outlet's staff also see hidden ones
+// (?status=hidden) and can narrow by ?itemId= or ?rating=
+app.get(['/api/reviews', '/api/restaurants/:restaurantId/reviews'], resolveRestaurant, (req, res) => {
+    try {
+        const isStaff = canManageRestaurant(req.user, req.restaurant.id);
+        const status = isStaff && req.query.status ? req.query.status : REVIEW_STATUS.PUBLISHED;
+        const itemId = req.query.itemId ? Number(req.query.itemId) : null;
+        const rating = req.query.rating ? Number(req.query.rating) : null;
+
+        const reviews = reviewRepo
+            .filter(review => review.restaurantId === req.restaurant.id &&
+                (status === 'all' || review.status === status) &&
+                (itemId === null || review.items.some(entry => entry.itemId === itemId)) &&
+                (rating === null || review.rating === rating))
+            .reverse()
+            // Customers are shown by first name only to the public
+            .map(review => (isStaff ? review : { ...review, customerId: undefined, customerName: String(review.customerName || '').split(' ')[0] }));
+
+        res.json({
+            success: true,
+            data: reviews,
+            count: reviews.length,
+            summary: {
+                rating: req.restaurant.rating,
+                ratingCount: req.restaurant.ratingCount
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching reviews:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch reviews'
+        });
+    }
+});
+
+const findRestaurantReview = (req, res) => {
+    const review = reviewRepo.findById(req.params.reviewId);
+    if (!review || review.restaurantId !== req.restaurant.id) {
+        res.status(404).json({
+            success: false,
+            message: 'Review not found'
+        });
+        return null;
+    }
+    return review;
+};
+
+app.post(['/api/reviews/:reviewId/reply', '/api/restaurants/:restaurantId/reviews/:reviewId/reply'], resolveRestaurant, requireRestaurantStaff, validateBody(reviewReplySchema), (req, res) => {
+    try {
+        const review = findRestaurantReview(req, res);
+        if (!review) return;
+
+        const updatedReview = reviewRepo.update(review.id, {
+            reply: { text: req.body.text, by: toActor(req.user), at: new Date().toISOString() }
+        });
+
+        emitSequenced(customerRoom(review.customerId), 'reviewReply', {
+            reviewId: review.id,
+            orderId: review.orderId,
+            reply: updatedReview.reply
+        });
+        notifier.notify('customer', review.customerId, NOTIFICATION_EVENTS.REVIEW_REPLY, {
+            orderId: review.orderId,
+            reviewId: review.id,
+            reply: updatedReview.reply.text
+        });
+
+        res.json({
+            success: true,
+            message: 'Reply posted successfully',
+            data: updatedReview
+        });
+    } catch (error) {
+        console.error('❌ Error replying to review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reply to review'
+        });
+    }
+});
+
+// Hidden reviews stay on record but stop counting towards ratings
+app.put(['/api/reviews/:reviewId/moderation', '/api/restaurants/:restaurantId/reviews/:reviewId/moderation'], resolveRestaurant, requireRestaurantStaff, validateBody(reviewModerationSchema), (req, res) => {
+    try {
+        const review = findRestaurantReview(req, res);
+        if (!review) return;
+
+        const updatedReview = reviewRepo.update(review.id, {
+            status: req.body.status,
+            moderation: { by: toActor(req.user), at: new Date().toISOString(), reason: req.body.reason || null }
+        });
+
+        if (updatedReview.status !== review.status) {
+            refreshRatings(review.restaurantId, reviewedItemIds(review));
+        }
+
+        console.log(`⭐ Review ${review.id} ${updatedReview.status} by ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: `Review ${updatedReview.status}`,
+            data: updatedReview
+        });
+    } catch (error) {
+        console.error('❌ Error moderating review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to moderate review'
+        });
+    }
+});
+
+// Notification APIs - every signed-in user has an inbox. Staff share their
+// outlet's inbox; platform admins pick one with ?restaurantId.
+
+const notificationRecipient = (user, restaurantId) => (user.role === ROLES.RESTAURANT
+    ? { type: 'restaurant', id: restaurantId }
+    : { type: user.role, id: user.id });
+
+const resolveNotificationRecipient = (req, res, next) => {
+    if (req.user.role !== ROLES.RESTAURANT) {
+        req.recipient = notificationRecipient(req.user);
+        return next();
+    }
+
+    const restaurantId = req.user.restaurantId || req.query.restaurantId || DEFAULT_RESTAURANT_ID;
+    if (!restaurantRepo.findById(restaurantId) || !canManageRestaurant(req.user, restaurantId)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to manage this restaurant'
+        });
+    }
+
+    req.recipient = notificationRecipient(req.user, restaurantId);
+    next();
+};
+
+app.get('/api/notifications', requireRole(), resolveNotificationRecipient, (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return sendValidationError(res, [{ field: 'limit', message: 'limit must be an integer between 1 and 100' }]);
+        }
+
+        const { notifications, unreadCount } = notifier.list(req.recipient, {
+            unreadOnly: req.query.unread === 'true',
+            before: req.query.before || null,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: notifications,
+            count: notifications.length,
+            unreadCount
+        });
+    } catch (error) {
+        console.error('❌ Error fetching notifications:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch menu'
+            message: 'Failed to fetch notifications'
         });
     }
 });
 
-app.post('/api/menu', (req, res) => {
+app.post('/api/notifications/read-all', requireRole(), resolveNotificationRecipient, (req, res) => {
     try {
-        const newItem = {
-            id: Date.now(),
-            ...req.body,
-            available: true,
-            createdAt: new Date().toISOString()
-        };
-        menuItems.push(newItem);
-
-        // Notify all connected clients about menu update
-        io.emit('menuUpdated', menuItems);
+        const marked = notifier.markAllRead(req.recipient);
 
-        console.log(`✅ New menu item added: ${newItem.name}`);
-
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Menu item added successfully',
-            data: newItem
+            message: `${marked} notification(s) marked as read`,
+            data: { marked, unreadCount: 0 }
         });
     } catch (error) {
-        console.error('❌ Error adding menu item:', error);
+        console.error('❌ Error marking notifications read:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to add menu item'
+            message: 'Failed to mark notifications as read'
         });
     }
 });
 
-app.put('/api/menu/:id', (req, res) => {
+app.post('/api/notifications/:id/read', requireRole(), resolveNotificationRecipient, (req, res) => {
     try {
-        const itemId = parseInt(req.params.id);
-        const itemIndex = menuItems.findIndex(item => item.id === itemId);
-
-        if (itemIndex !== -1) {
-            menuItems[itemIndex] = {
-                ...menuItems[itemIndex],
-                ...req.body,
-                updatedAt: new Date().toISOString()
-            };
-
-            // Notify all connected clients about menu update
-            io.emit('menuUpdated', menuItems);
-
-            console.log(`✅ Menu item updated: ${menuItems[itemIndex].name}`);
-
-            res.json({
-                success: true,
-                message: 'Menu item updated successfully',
-                data: menuItems[itemIndex]
-            });
-        } else {
-            res.status(404).json({
+        const notification = notifier.markRead(req.recipient, req.params.id);
+        if (!notification) {
+            return res.status(404).json({
                 success: false,
-                message: 'Menu item not found'
+                message: 'Notification not found'
             });
         }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: notification,
+            unreadCount: notifier.unreadCount(req.recipient)
+        });
     } catch (error) {
-        console.error('❌ Error updating menu item:', error);
+        console.error('❌ Error marking notification read:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update menu item'
+            message: 'Failed to mark notification as read'
         });
     }
 });
 
-app.delete('/api/menu/:id', (req, res) => {
-    try {
-        const itemId = parseInt(req.params.id);
-        const itemIndex = menuItems.findIndex(item => item.id === itemId);
-
-        if (itemIndex !== -1) {
-            const deletedItem = menuItems.splice(itemIndex, 1)[0];
-
-            // Notify all connected clients about menu update
-            io.emit('menuUpdated', menuItems);
+// Web Push - the PWA needs the VAPID public key to subscribe
+app.get('/api/notifications/push/public-key', (req, res) => {
+    res.json({
+        success: true,
+        data: { publicKey: notificationChannels.push.publicKey }
+    });
+});
 
-            console.log(`✅ Menu item deleted: ${deletedItem.name}`);
+app.post('/api/notifications/push/subscriptions', requireRole(), resolveNotificationRecipient, validateBody(pushSubscriptionSchema), (req, res) => {
+    try {
+        // One record per browser endpoint - re-subscribing moves it to the current user
+        const existing = pushSubscriptionRepo.find(subscription => subscription.endpoint === req.body.endpoint);
+        const changes = {
+            recipientType: req.recipient.type,
+            recipientId: req.recipient.id,
+            endpoint: req.body.endpoint,
+            keys: req.body.keys,
+            updatedAt: new Date().toISOString()
+        };
 
-            res.json({
-                success: true,
-                message: 'Menu item deleted successfully'
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                message: 'Menu item not found'
+        const subscription = existing
+            ? pushSubscriptionRepo.update(existing.id, changes)
+            : pushSubscriptionRepo.insert({
+                id: `push_${crypto.randomBytes(8).toString('hex')}`,
+                ...changes,
+                createdAt: changes.updatedAt
             });
-        }
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: 'Push notifications enabled',
+            data: { id: subscription.id, endpoint: subscription.endpoint }
+        });
     } catch (error) {
-        console.error('❌ Error deleting menu item:', error);
+        console.error('❌ Error saving push subscription:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete menu item'
+            message: 'Failed to save push subscription'
         });
     }
 });
 
-// Order APIs
-app.get('/api/orders', (req, res) => {
+app.delete('/api/notifications/push/subscriptions', requireRole(), resolveNotificationRecipient, validateBody(pushUnsubscribeSchema), (req, res) => {
     try {
+        const subscription = pushSubscriptionRepo.find(candidate =>
+            candidate.endpoint === req.body.endpoint &&
+            candidate.recipientType === req.recipient.type &&
+            candidate.recipientId === req.recipient.id
+        );
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Push subscription not found'
+            });
+        }
+
+        pushSubscriptionRepo.remove(subscription.id);
+
         res.json({
             success: true,
-            data: orders,
-            count: orders.length
+            message: 'Push notifications disabled'
         });
     } catch (error) {
-        console.error('❌ Error fetching orders:', error);
+        console.error('❌ Error removing push subscription:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch orders'
+            message: 'Failed to remove push subscription'
         });
     }
 });
 
-app.post('/api/orders', (req, res) => {
+// Payment APIs
+
+// Retry a failed online payment for one of the customer's orders. A pending
+// attempt may still be captured, so it has to fail (or time out) first.
+app.post('/api/orders/:id/payment', limit('orders'), requireRole(ROLES.CUSTOMER), async (req, res) => {
     try {
-        // Validate order data
-        const validationErrors = validateOrderData(req.body);
-        if (validationErrors.length > 0) {
-            return res.status(400).json({
+        const order = orderRepo.findById(req.params.id);
+        if (!order || order.customerId !== req.user.id) {
+            return res.status(404).json({
                 success: false,
-                message: 'Validation failed',
-                errors: validationErrors
+                message: 'Order not found'
             });
         }
 
-        // Sanitize customer info
-        const sanitizedCustomerInfo = {
-            ...req.body.customerInfo,
-            name: sanitizeString(req.body.customerInfo.name),
-            phone: sanitizeString(req.body.customerInfo.phone),
-            address: req.body.customerInfo.address ? {
-                ...req.body.customerInfo.address,
-                fullAddress: sanitizeString(req.body.customerInfo.address.fullAddress)
-            } : null
-        };
-
-        // Create new order with enhanced data
-        const newOrder = {
-            id: `ORD${Date.now()}`,
-            items: req.body.items.map(item => ({
-                ...item,
-                name: sanitizeString(item.name)
-            })),
-            total: Number(req.body.total),
-            customerInfo: sanitizedCustomerInfo,
-            paymentMethod: sanitizeString(req.body.paymentMethod) || 'COD',
-            deliveryCharge: Number(req.body.deliveryCharge) || 0,
-            status: 'pending',
-            createdAt: new Date().toISOString(),
-            estimatedTime: calculateEstimatedTime(req.body.items),
-            orderNumber: orders.length + 1
-        };
-
-        orders.unshift(newOrder);
-
-        // Get connected users count for debugging
-        const restaurantUsers = Array.from(connectedUsers.values()).filter(u => u.userType === 'restaurant');
-        const customerUsers = Array.from(connectedUsers.values()).filter(u => u.userType === 'customer');
-
-        console.log(`📡 Connected users - Restaurants: ${restaurantUsers.length}, Customers: ${customerUsers.length}`);
+        if (!isOnlinePaymentMethod(order.paymentMethod) || order.paymentStatus !== PAYMENT_STATUS.FAILED ||
+            order.status !== ORDER_STATUS.PENDING) {
+            return res.status(409).json({
+                success: false,
+                message: `Payment cannot be retried for a ${order.paymentStatus} ${order.paymentMethod} order`
+            });
+        }
 
-        // Notify restaurant about new order
-        console.log('📡 Broadcasting new order to restaurant_room');
-        const restaurantEmitResult = io.to('restaurant_room').emit('newOrder', newOrder);
-        console.log('📡 Restaurant emit result:', restaurantEmitResult);
+        const payment = await createOrderPayment(order);
 
-        // Send confirmation to customer who placed the order
-        console.log('📡 Broadcasting order confirmation to customer_room');
-        const customerEmitResult = io.to('customer_room').emit('orderConfirmed', {
-            orderId: newOrder.id,
-            estimatedTime: newOrder.estimatedTime,
-            orderNumber: newOrder.orderNumber
-        });
-        console.log('📡 Customer emit result:', customerEmitResult);
+        // Another retry won the race while the gateway answered - this attempt is
+        // never offered, and a capture on it would be refunded as superseded
+        const latest = orderRepo.findById(order.id);
+        if (latest.paymentId !== order.paymentId || latest.paymentStatus !== PAYMENT_STATUS.FAILED) {
+            return res.status(409).json({
+                success: false,
+                message: 'A payment retry is already in progress for this order'
+            });
+        }
 
-        // Also emit to all connected clients for debugging
-        io.emit('orderCreated', {
-            orderId: newOrder.id,
-            status: 'created',
-            timestamp: new Date().toISOString(),
-            connectedUsers: connectedUsers.size
+        orderRepo.update(order.id, {
+            paymentId: payment.id,
+            paymentStatus: PAYMENT_STATUS.PENDING,
+            updatedAt: new Date().toISOString()
         });
 
-        console.log(`✅ New order created: ${newOrder.id} - ₹${newOrder.total}`);
-
         res.status(201).json({
             success: true,
-            message: 'Order placed successfully',
-            data: newOrder
+            message: 'Payment created',
+            data: { id: payment.id, status: payment.status, checkout: payment.checkout }
         });
-
     } catch (error) {
-        console.error('❌ Error creating order:', error);
-        res.status(500).json({
+        console.error('❌ Error retrying payment:', error);
+        res.status(502).json({
             success: false,
-            message: 'Failed to create order',
-            error: NODE_ENV === 'development' ? error.message : 'Internal server error'
+            message: 'Payment gateway is unavailable - please try again'
         });
     }
 });
 
-app.put('/api/orders/:id/status', (req, res) => {
+// Gateway webhook - only signed requests are trusted
+app.post('/api/payments/webhook', (req, res) => {
     try {
-        const orderId = req.params.id;
-        const { status } = req.body;
-
-        // Validate status
-        const validStatuses = ['pending', 'preparing', 'ready', 'delivered', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        const signature = req.headers[paymentGateway.signatureHeader];
+        if (!paymentGateway.verifyWebhookSignature(req.rawBody, signature)) {
+            console.warn('⚠️ Rejected payment webhook with invalid signature');
             return res.status(400).json({
                 success: false,
-                message: 'Invalid status'
+                message: 'Invalid signature'
             });
         }
 
-        const orderIndex = orders.findIndex(order => order.id === orderId);
+        const event = paymentGateway.parseWebhookEvent(req.body, req.headers);
+        const result = applyPaymentEvent(event);
 
-        if (orderIndex !== -1) {
-            orders[orderIndex].status = status;
-            orders[orderIndex].updatedAt = new Date().toISOString();
-
-            // Notify customer about status update
-            console.log(`📡 Broadcasting status update for order ${orderId} to customer_room`);
-            const statusUpdateResult = io.to('customer_room').emit('orderStatusUpdate', {
-                orderId: orderId,
-                status: status,
-                order: orders[orderIndex]
-            });
-            console.log('📡 Status update emit result:', statusUpdateResult);
+        if (!result.applied) {
+            console.log(`💳 Payment webhook ${event.id} not applied: ${result.reason}`);
+        }
 
-            // Also emit to all connected clients for debugging
-            io.emit('orderStatusChanged', {
-                orderId: orderId,
-                status: status,
-                timestamp: new Date().toISOString(),
-                connectedUsers: connectedUsers.size
-            });
+        // Always acknowledge verified webhooks so the gateway stops retrying
+        res.json({
+            success: true,
+            applied: result.applied,
+            message: result.reason || 'Payment updated'
+        });
+    } catch (error) {
+        console.error('❌ Error processing payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook'
+        });
+    }
+});
 
-            console.log(`✅ Order ${orderId} status updated to: ${status}`);
+// Local testing helper - "pays" an order through the mock gateway's own signed webhook
+if (paymentGateway.name === 'mock' && NODE_ENV !== 'production') {
+    app.post('/api/payments/mock/:orderId', requireRole(ROLES.CUSTOMER), (req, res) => {
+        const order = orderRepo.findById(req.params.orderId);
+        const payment = order && order.paymentId ? paymentRepo.findById(order.paymentId) : null;
 
-            res.json({
-                success: true,
-                message: 'Order status updated successfully',
-                data: orders[orderIndex]
-            });
-        } else {
-            res.status(404).json({
+        if (!payment || order.customerId !== req.user.id) {
+            return res.status(404).json({
                 success: false,
-                message: 'Order not found'
+                message: 'Payment not found'
             });
         }
+
+        const { rawBody, signature } = paymentGateway.buildWebhook(req.body.event || 'payment.captured', {
+            gatewayOrderId: payment.gatewayOrderId,
+            amount: payment.amount,
+            reason: req.body.reason
+        });
+        const event = paymentGateway.parseWebhookEvent(JSON.parse(rawBody));
+        const result = paymentGateway.verifyWebhookSignature(rawBody, signature)
+            ? applyPaymentEvent(event)
+            : { applied: false, reason: 'Invalid signature' };
+
+        res.json({
+            success: true,
+            applied: result.applied,
+            message: result.reason || 'Payment updated',
+            data: orderRepo.findById(order.id)
+        });
+    });
+}
+
+// Restaurant stats - /api/restaurant/stats is kept as an alias for the default restaurant
+app.get(['/api/restaurant/stats', '/api/restaurants/:restaurantId/stats'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: buildRestaurantStats(req.restaurant.id)
+        });
     } catch (error) {
-        console.error('❌ Error updating order status:', error);
+        console.error('❌ Error fetching restaurant stats:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update order status'
+            message: 'Failed to fetch restaurant stats'
         });
     }
 });
 
-// Restaurant APIs
-app.get('/api/restaurant/stats', (req, res) => {
+// Reports - ?from=&to= (local YYYY-MM-DD), ?period=day|week|month, ?timezone=
+// (defaults to the restaurant's) and ?limit= for the top lists
+const reportCategoryOf = (itemId) => findMenuItem(itemId)?.category || 'uncategorized';
+
+app.get(['/api/restaurant/reports', '/api/restaurants/:restaurantId/reports'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
     try {
-        const today = new Date().toDateString();
-        const todayOrders = orders.filter(order =>
-            new Date(order.createdAt).toDateString() === today
-        );
+        const { errors, criteria } = parseReportQuery(req.query, { defaultTimezone: req.restaurant.timezone });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
 
-        const stats = {
-            totalOrders: orders.length,
-            todayOrders: todayOrders.length,
-            pendingOrders: orders.filter(order => order.status === 'pending').length,
-            completedOrders: orders.filter(order => order.status === 'delivered').length,
-            totalRevenue: orders.reduce((sum, order) => sum + (order.total || 0), 0),
-            todayRevenue: todayOrders.reduce((sum, order) => sum + (order.total || 0), 0),
-            connectedUsers: {
-                customers: Array.from(connectedUsers.values()).filter(u => u.userType === 'customer').length,
-                restaurants: Array.from(connectedUsers.values()).filter(u => u.userType === 'restaurant').length,
-                total: connectedUsers.size
-            }
-        };
+        const orders = orderRepo.filter(order => order.restaurantId === req.restaurant.id && order.releasedAt);
 
         res.json({
             success: true,
-            data: stats
+            data: buildReport(orders, criteria, { categoryOf: reportCategoryOf })
         });
     } catch (error) {
-        console.error('❌ Error fetching restaurant stats:', error);
+        console.error('❌ Error building report:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch restaurant stats'
+            message: 'Failed to build report'
+        });
+    }
+});
+
+// CSV exports for the accountant - ?report=revenue|items|categories|orders
+const CSV_REPORTS = {
+    revenue: {
+        columns: [
+            { key: 'period', label: 'Period' },
+            { key: 'orders', label: 'Orders' },
+            { key: 'cancelled', label: 'Cancelled' },
+            { key: 'revenue', label: 'Revenue (INR)' },
+            { key: 'discounts', label: 'Discounts (INR)' },
+            { key: 'averageOrderValue', label: 'Average order value (INR)' }
+        ],
+        rows: (orders, criteria) => revenueSeries(orders, criteria)
+    },
+    items: {
+        columns: [
+            { key: 'id', label: 'Item ID' },
+            { key: 'name', label: 'Item' },
+            { key: 'category', label: 'Category' },
+            { key: 'quantity', label: 'Quantity' },
+            { key: 'revenue', label: 'Revenue (INR)' }
+        ],
+        rows: (orders) => topItems(orders, { limit: Infinity, categoryOf: reportCategoryOf })
+    },
+    categories: {
+        columns: [
+            { key: 'category', label: 'Category' },
+            { key: 'quantity', label: 'Quantity' },
+            { key: 'revenue', label: 'Revenue (INR)' }
+        ],
+        rows: (orders) => topCategories(orders, { limit: Infinity, categoryOf: reportCategoryOf })
+    },
+    orders: {
+        columns: [
+            { key: 'id', label: 'Order ID' },
+            { key: 'orderNumber', label: 'Order number' },
+            { key: 'localDate', label: 'Date' },
+            { key: 'status', label: 'Status' },
+            { key: 'paymentMethod', label: 'Payment method' },
+            { key: 'paymentStatus', label: 'Payment status' },
+            { key: 'subtotal', label: 'Subtotal (INR)' },
+            { key: 'deliveryCharge', label: 'Delivery (INR)' },
+            { key: 'tax', label: 'Tax (INR)' },
+            { key: 'discount', label: 'Discount (INR)' },
+            { key: 'total', label: 'Total (INR)' },
+            { key: 'couponCode', label: 'Coupon' }
+        ],
+        rows: (orders, criteria) => orders
+            .slice()
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(order => ({
+                ...order,
+                localDate: localDateOf(order.createdAt, criteria.timezone),
+                tax: order.pricing ? order.pricing.taxTotal : null,
+                discount: order.discount ? order.discount.amount : 0
+            }))
+    }
+};
+
+app.get(['/api/restaurant/reports/export', '/api/restaurants/:restaurantId/reports/export'], resolveRestaurant, requireRestaurantStaff, (req, res) => {
+    try {
+        const reportName = req.query.report || 'revenue';
+        const report = CSV_REPORTS[reportName];
+        const { errors, criteria } = parseReportQuery(req.query, { defaultTimezone: req.restaurant.timezone });
+        if (!report) {
+            errors.push({ field: 'report', message: `report must be one of: ${Object.keys(CSV_REPORTS).join(', ')}` });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const orders = filterByLocalDate(
+            orderRepo.filter(order => order.restaurantId === req.restaurant.id && order.releasedAt),
+            criteria
+        );
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`${req.restaurant.id}-${reportName}-${criteria.from}-to-${criteria.to}.csv`);
+        res.send(toCsv(report.columns, report.rows(orders, criteria)));
+    } catch (error) {
+        console.error('❌ Error exporting report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export report'
         });
     }
 });
 
+// Current state for a client whose missed events can't be replayed
+const buildSnapshot = (user, restaurantId) => {
+    if (user.role === ROLES.RESTAURANT) {
+        return {
+            orders: orderRepo.filter(order =>
+                order.restaurantId === restaurantId && order.releasedAt && !isFinalStatus(order.status)
+            )
+        };
+    }
+
+    if (user.role === ROLES.RIDER) {
+        return {
+            deliveries: deliveryRepo
+                .filter(delivery => delivery.riderId === user.id && isActiveDelivery(delivery))
+                .map(({ pickupOtp, dropoffOtp, ...delivery }) => ({ ...delivery, order: orderRepo.findById(delivery.orderId) }))
+        };
+    }
+
+    return {
+        orders: orderRepo.filter(order => order.customerId === user.id && !isFinalStatus(order.status))
+    };
+};
+
+// Re-sends the events for the socket's rooms after lastSeq in their original
+// order, then marks the end of the replay
+const resyncSocket = (socket, user, restaurantId, rooms, lastSeq) => {
+    const { complete, events } = eventLog.since(lastSeq, rooms);
+    const seq = eventLog.currentSequence();
+
+    if (!complete) {
+        socket.emit('resync', { seq, reason: 'Missed events are no longer available', snapshot: buildSnapshot(user, restaurantId) });
+        console.log(`🔌 ${socket.id} resynced from snapshot (last seen ${lastSeq}, now ${seq})`);
+        return;
+    }
+
+    events.forEach(entry => socket.emit(entry.event, { ...entry.payload, replayed: true }));
+    socket.emit('replayComplete', { fromSeq: lastSeq, seq, replayed: events.length });
+    console.log(`🔌 ${socket.id} replayed ${events.length} event(s) since ${lastSeq}`);
+};
+
 // Enhanced Socket.IO connection handling
 io.on('connection', (socket) => {
     console.log(`🔌 User connected: ${socket.id}`);
 
+    // Oversized or too frequent events are refused before any handler runs
+    socket.use(limitSocketEvents(socket));
+
+    // Until it sends watchMenu, assume a client page that expects the old menuUpdated
+    socket.join(ROOMS.MENU_LEGACY);
+
     // Join room based on user type
-    socket.on('joinRoom', (data) => {
+    socket.on('joinRoom', (payload) => {
         try {
-            console.log(`🔌 Join room request from ${socket.id}:`, data);
+            console.log(`🔌 Join room request from ${socket.id}:`, payload);
 
-            if (!data || !data.userType) {
-                throw new Error('Invalid join room data - userType required');
+            const data = parseSocketPayload(socket, 'joinRoom', joinRoomSchema, payload);
+            if (!data) return;
+
+            // Room membership comes from the authenticated session, not the payload
+            const user = socket.data.user;
+            if (!user || user.role !== data.userType) {
+                throw new Error(`Not authorized to join as ${data.userType}`);
             }
 
-            const { userType, userId } = data;
+            const userType = user.role;
+            const userId = user.id;
             const roomName = `${userType}_room`;
 
+            // Customers also get a private room for their own order events;
+            // staff join their outlet's room and can opt into the debug room
+            const rooms = [roomName];
+            let restaurantId = null;
+            if (userType === ROLES.CUSTOMER) {
+                rooms.push(customerRoom(userId));
+            }
+            if (userType === ROLES.RIDER) {
+                restaurantId = user.restaurantId;
+                rooms.push(riderRoom(userId));
+            }
+            if (userType === ROLES.RESTAURANT) {
+                restaurantId = user.restaurantId || data.restaurantId || DEFAULT_RESTAURANT_ID;
+                if (!restaurantRepo.findById(restaurantId) || !canManageRestaurant(user, restaurantId)) {
+                    throw new Error(`Not authorized to join restaurant ${restaurantId}`);
+                }
+                rooms.push(restaurantRoom(restaurantId));
+
+                if (data.debug) {
+                    rooms.push(ROOMS.DEBUG);
+                }
+            }
+
             // Leave any existing rooms first
             const existingUser = connectedUsers.get(socket.id);
-            if (existingUser && existingUser.roomName) {
-                socket.leave(existingUser.roomName);
-                console.log(`👤 ${socket.id} left previous room: ${existingUser.roomName}`);
+            if (existingUser && existingUser.rooms) {
+                existingUser.rooms.forEach(room => socket.leave(room));
+                console.log(`👤 ${socket.id} left previous rooms: ${existingUser.rooms.join(', ')}`);
             }
 
-            // Join new room
-            socket.join(roomName);
-            connectedUsers.set(socket.id, { userType, userId, roomName, joinedAt: new Date().toISOString() });
+            // Join new rooms
+            socket.join(rooms);
+            connectedUsers.set(socket.id, { userType, userId, restaurantId, roomName, rooms, joinedAt: new Date().toISOString() });
+
+            // Riders are offered work while they are connected
+            if (userType === ROLES.RIDER && riderRepo.findById(userId).status === RIDER_STATUS.OFFLINE) {
+                setRiderAvailable(userId);
+            }
 
             console.log(`👤 ${userType} joined room: ${roomName} (${socket.id})`);
             console.log(`📊 Room ${roomName} now has ${io.sockets.adapter.rooms.get(roomName)?.size || 0} members`);
@@ -576,9 +4402,25 @@ io.on('connection', (socket) => {
                 message: `Welcome to Zaika Junction ${userType} app!`,
                 socketId: socket.id,
                 roomName: roomName,
+                restaurantId,
+                seq: eventLog.currentSequence(),
                 timestamp: new Date().toISOString()
             });
 
+            if (userType === ROLES.RESTAURANT) {
+                socket.emit('kitchenDisplay', getKitchenDisplay(restaurantRepo.findById(restaurantId)));
+            }
+
+            // A reconnecting client gets what it missed, or a fresh snapshot
+            // when the gap is too old to replay
+            if (data.lastSeq !== undefined) {
+                resyncSocket(socket, user, restaurantId, rooms, data.lastSeq);
+            }
+
+            // Catch up on anything that happened while this user was offline
+            const { notifications, unreadCount } = notifier.list(notificationRecipient(user, restaurantId), { unreadOnly: true });
+            socket.emit('notificationsPending', { unreadCount, notifications });
+
             // Update connection stats
             const stats = {
                 customers: Array.from(connectedUsers.values()).filter(u => u.userType === 'customer').length,
@@ -600,14 +4442,29 @@ io.on('connection', (socket) => {
     });
 
     // Handle order tracking
-    socket.on('trackOrder', (orderId) => {
+    socket.on('trackOrder', (payload) => {
         try {
-            const order = orders.find(o => o.id === orderId);
-            if (order) {
+            const orderId = parseSocketPayload(socket, 'trackOrder', trackOrderSchema, payload);
+            if (!orderId) return;
+
+            const user = socket.data.user;
+            const order = orderRepo.findById(orderId);
+            const isAssignedRider = Boolean(order && user && order.delivery &&
+                isActiveDelivery(order.delivery) && order.delivery.riderId === user.id);
+            const canView = order && user && (order.releasedAt || order.customerId === user.id) &&
+                (canManageRestaurant(user, order.restaurantId) || order.customerId === user.id || isAssignedRider);
+
+            if (canView) {
+                // Subscribe this socket to further updates for the order
+                socket.join(orderRoom(orderId));
+
                 socket.emit('orderTrackingUpdate', {
                     orderId: orderId,
                     status: order.status,
+                    paymentStatus: order.paymentStatus,
                     estimatedTime: order.estimatedTime,
+                    eta: order.eta || null,
+                    delivery: order.delivery || null,
                     createdAt: order.createdAt
                 });
             } else {
@@ -619,23 +4476,150 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Switch which outlet's menu updates this socket receives - open to guests
+    // browsing without an account
+    socket.on('watchMenu', (payload) => {
+        try {
+            const restaurantId = parseSocketPayload(socket, 'watchMenu', watchMenuSchema, payload);
+            if (!restaurantId) return;
+
+            if (!restaurantRepo.findById(restaurantId)) {
+                socket.emit('error', { message: `Unknown restaurant: ${restaurantId}`, event: 'watchMenu' });
+                return;
+            }
+
+            watchRestaurantMenu(socket, restaurantId);
+            socket.emit('menuUpdated', menuUpdate(restaurantId));
+        } catch (error) {
+            console.error('❌ Error watching menu:', error);
+            socket.emit('error', { message: 'Failed to watch menu' });
+        }
+    });
+
+    // Rider position - stored for nearest-rider assignment and relayed (throttled)
+    // only to the customer and anyone tracking the rider's current order
+    socket.on('riderLocation', (payload) => {
+        try {
+            const data = parseSocketPayload(socket, 'riderLocation', riderLocationSchema, payload);
+            if (!data) return;
+
+            const user = socket.data.user;
+            if (!user || user.role !== ROLES.RIDER) {
+                throw new Error('Only riders can share a delivery location');
+            }
+
+            if (!riderLocationThrottle.shouldRelay(user.id)) return;
+
+            const location = { ...data, at: new Date().toISOString() };
+            const rider = riderRepo.update(user.id, { location });
+
+            const order = rider.activeOrderId ? orderRepo.findById(rider.activeOrderId) : null;
+            if (order && isActiveDelivery(order.delivery)) {
+                io.to([orderRoom(order.id), customerRoom(order.customerId)]).emit('riderLocationUpdate', {
+                    orderId: order.id,
+                    riderId: rider.id,
+                    location
+                });
+            }
+        } catch (error) {
+            console.error('❌ Error updating rider location:', error);
+            socket.emit('error', { message: 'Failed to update location: ' + error.message });
+        }
+    });
+
     // Handle menu item availability toggle
-    socket.on('toggleItemAvailability', (data) => {
+    socket.on('toggleItemAvailability', (payload) => {
         try {
+            const data = parseSocketPayload(socket, 'toggleItemAvailability', toggleItemAvailabilitySchema, payload);
+            if (!data) return;
+
             const { itemId, available } = data;
-            const itemIndex = menuItems.findIndex(item => item.id === itemId);
+            const menuItem = findMenuItem(itemId);
+
+            if (menuItem && !canManageRestaurant(socket.data.user, menuItem.restaurantId)) {
+                throw new Error('Only restaurant staff can change item availability');
+            }
+
+            // Switching an item by hand overrides the automatic sold-out switch
+            let changes = { available, soldOut: false };
+            let target = `Menu item ${itemId}`;
 
-            if (itemIndex !== -1) {
-                menuItems[itemIndex].available = available;
+            // A single modifier (e.g. "1 kg box") can be switched off on its own
+            if (menuItem && (data.groupId || data.optionId)) {
+                const group = (menuItem.optionGroups || []).find(candidate => candidate.id === data.groupId);
+                const option = group && group.options.find(candidate => candidate.id === data.optionId);
+                if (!option) {
+                    throw new Error(`Unknown option ${data.groupId}/${data.optionId} on ${menuItem.name}`);
+                }
+
+                changes = {
+                    optionGroups: menuItem.optionGroups.map(candidate => (candidate.id !== group.id ? candidate : {
+                        ...candidate,
+                        options: candidate.options.map(entry => (entry.id === option.id ? { ...entry, available } : entry))
+                    }))
+                };
+                target = `Option ${group.id}/${option.id} on menu item ${itemId}`;
+            }
+
+            const updatedItem = menuItem ? menuRepo.update(menuItem.id, changes) : null;
 
-                // Notify all clients about menu update
-                io.emit('menuUpdated', menuItems);
+            if (updatedItem) {
+                // Notify clients watching this menu - includes modifier availability
+                broadcastMenu(updatedItem.restaurantId);
 
-                console.log(`🍽️ Menu item ${itemId} availability: ${available}`);
+                console.log(`🍽️ ${target} availability: ${available}`);
             }
         } catch (error) {
             console.error('❌ Error toggling item availability:', error);
-            socket.emit('error', { message: 'Failed to update menu item' });
+            socket.emit('error', { message: 'Failed to update menu item: ' + error.message });
+        }
+    });
+
+    // Kitchen dashboards acknowledge each newOrder they show - optional ack callback
+    socket.on('acknowledgeOrder', (payload, callback) => {
+        try {
+            const data = parseSocketPayload(socket, 'acknowledgeOrder', acknowledgeOrderSchema, payload);
+            if (!data) return;
+
+            const order = orderRepo.findById(data.orderId);
+            if (!order || !order.releasedAt || !canManageRestaurant(socket.data.user, order.restaurantId)) {
+                throw new Error(`Order ${data.orderId} not found`);
+            }
+
+            const acknowledgedOrder = acknowledgeOrder(order, toActor(socket.data.user));
+            if (typeof callback === 'function') {
+                callback({ success: true, orderId: order.id, acknowledgedAt: acknowledgedOrder.acknowledgedAt || null });
+            }
+        } catch (error) {
+            console.error('❌ Error acknowledging order:', error);
+            socket.emit('error', { message: 'Failed to acknowledge order: ' + error.message });
+            if (typeof callback === 'function') {
+                callback({ success: false, message: error.message });
+            }
+        }
+    });
+
+    // Handle busy/paused mode toggles from the restaurant dashboard
+    socket.on('setRestaurantStatus', (payload) => {
+        try {
+            const data = parseSocketPayload(socket, 'setRestaurantStatus', restaurantStatusSchema, payload);
+            if (!data) return;
+
+            const user = socket.data.user;
+            const restaurantId = data.restaurantId || user?.restaurantId || DEFAULT_RESTAURANT_ID;
+            const restaurant = restaurantRepo.findById(restaurantId);
+
+            if (!restaurant || !canManageRestaurant(user, restaurantId)) {
+                throw new Error(`Not authorized to manage restaurant ${restaurantId}`);
+            }
+
+            const { errors } = setRestaurantStatus(restaurant, data, toActor(user));
+            if (errors.length > 0) {
+                throw new Error(errors.map(error => error.message).join(', '));
+            }
+        } catch (error) {
+            console.error('❌ Error setting restaurant status:', error);
+            socket.emit('error', { message: 'Failed to update restaurant status: ' + error.message });
         }
     });
 
@@ -655,14 +4639,23 @@ io.on('connection', (socket) => {
         if (user) {
             console.log(`🔌 ${user.userType} disconnected: ${socket.id} (${reason})`);
 
-            // Leave room
-            if (user.roomName) {
-                socket.leave(user.roomName);
-                console.log(`👤 ${socket.id} left room: ${user.roomName}`);
+            // Leave rooms
+            if (user.rooms) {
+                user.rooms.forEach(room => socket.leave(room));
+                console.log(`👤 ${socket.id} left rooms: ${user.rooms.join(', ')}`);
             }
 
             connectedUsers.delete(socket.id);
 
+            // A rider with no sockets left stops getting new work (but keeps an active delivery)
+            if (user.userType === ROLES.RIDER) {
+                const stillConnected = Array.from(connectedUsers.values()).some(u => u.userId === user.userId);
+                const rider = riderRepo.findById(user.userId);
+                if (!stillConnected && rider && rider.status === RIDER_STATUS.AVAILABLE) {
+                    riderRepo.update(rider.id, { status: RIDER_STATUS.OFFLINE });
+                }
+            }
+
             // Update connection stats
             const stats = {
                 customers: Array.from(connectedUsers.values()).filter(u => u.userType === 'customer').length,
@@ -689,6 +4682,14 @@ io.on('connection', (socket) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+    // Client mistakes caught by middleware, e.g. a body over BODY_LIMIT (413) or broken JSON
+    if (err.expose && err.status < 500) {
+        return res.status(err.status).json({
+            success: false,
+            message: err.type === 'entity.too.large' ? `Request body is larger than ${BODY_LIMIT}` : err.message
+        });
+    }
+
     console.error('❌ Global error:', err.stack);
     res.status(500).json({
         success: false,
@@ -705,9 +4706,13 @@ app.use('*', (req, res) => {
     });
 });
 
+// Changes made in the current tick are only in memory until the store flushes
+process.on('exit', () => store.flush());
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('🛑 SIGTERM received, shutting down gracefully...');
+    store.flush();
     server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
@@ -716,6 +4721,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('🛑 SIGINT received, shutting down gracefully...');
+    store.flush();
     server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
@@ -733,9 +4739,10 @@ server.listen(PORT, () => {
     console.log(`🔍 Debug Console: http://localhost:${PORT}/debug-realtime.html`);
     console.log(`🧪 Test Console: http://localhost:${PORT}/test-realtime.html`);
     console.log(`🌍 Environment: ${NODE_ENV}`);
+    console.log(`🗄️ Data store: ${store.driver} (schema v${store.schemaVersion})`);
     console.log(`\n✅ Server ready for real-time connections!`);
-    console.log(`📡 Socket.IO rooms will be: customer_room, restaurant_room`);
+    console.log(`📡 Socket.IO rooms will be: ${ROOMS.CUSTOMER}, ${ROOMS.RESTAURANT}, customer:<id>, order:<id>`);
     console.log(`🔧 Real-time features: Order updates, Menu changes, Status notifications\n`);
 });
 
-module.exports = { app, server, io };
+module.exports = { app, server, io, store };
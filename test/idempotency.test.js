@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { createIdempotency, cartFingerprint } = require('../lib/idempotency');
+
+const fakeRequest = ({ key, body, user = { id: 'cust_1' } }) => ({
+    body,
+    user,
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const fakeResponse = () => {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+
+// Runs the middleware; `handler` answers like a route would when it is reached
+const run = (middleware, req, handler) => {
+    const res = fakeResponse();
+    let reached = false;
+    middleware(req, res, () => {
+        reached = true;
+        if (handler) handler(req, res);
+    });
+    return { res, reached };
+};
+
+const setup = () => {
+    const repo = createStore({ driver: 'memory' }).collection('idempotencyKeys');
+    return { repo, idempotency: createIdempotency({ repo }) };
+};
+
+const placeOrder = (req, res) => res.status(201).json({ success: true, data: { id: 'order_1' } });
+
+test('requests without a key are passed straight through', () => {
+    const { repo, idempotency } = setup();
+
+    assert.ok(run(idempotency.middleware('orders'), fakeRequest({ body: {} }), placeOrder).reached);
+    assert.equal(repo.count(), 0);
+});
+
+test('a retry with the same key and body replays the stored response', () => {
+    const { idempotency } = setup();
+    const middleware = idempotency.middleware('orders');
+    const body = { items: [{ id: 1, quantity: 1 }] };
+
+    run(middleware, fakeRequest({ key: 'k1', body }), placeOrder);
+    const retry = run(middleware, fakeRequest({ key: 'k1', body }), placeOrder);
+
+    assert.equal(retry.reached, false);
+    assert.equal(retry.res.statusCode, 201);
+    assert.deepEqual(retry.res.body, { success: true, data: { id: 'order_1' } });
+    assert.equal(retry.res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('a key reused for a different body is refused', () => {
+    const { idempotency } = setup();
+    const middleware = idempotency.middleware('orders');
+
+    run(middleware, fakeRequest({ key: 'k1', body: { items: [1] } }), placeOrder);
+    const reuse = run(middleware, fakeRequest({ key: 'k1', body: { items: [2] } }), placeOrder);
+
+    assert.equal(reuse.reached, false);
+    assert.equal(reuse.res.statusCode, 422);
+});
+
+test('a retry while the first request is still running gets a 409', () => {
+    const { idempotency } = setup();
+    const middleware = idempotency.middleware('orders');
+
+    run(middleware, fakeRequest({ key: 'k1', body: {} }));
+    const retry = run(middleware, fakeRequest({ key: 'k1', body: {} }), placeOrder);
+
+    assert.equal(retry.res.statusCode, 409);
+});
+
+test('keys are scoped to the user and the operation', () => {
+    const { idempotency } = setup();
+
+    run(idempotency.middleware('orders'), fakeRequest({ key: 'k1', body: {} }), placeOrder);
+
+    assert.ok(run(idempotency.middleware('orders'), fakeRequest({ key: 'k1', body: {}, user: { id: 'cust_2' } }), placeOrder).reached);
+    assert.ok(run(idempotency.middleware('reviews'), fakeRequest({ key: 'k1', body: {} }), placeOrder).reached);
+});
+
+test('server errors release the key so the request can be retried', () => {
+    const { repo, idempotency } = setup();
+    const middleware = idempotency.middleware('orders');
+
+    run(middleware, fakeRequest({ key: 'k1', body: {} }), (req, res) => res.status(500).json({ success: false }));
+
+    assert.equal(repo.count(), 0);
+    assert.ok(run(middleware, fakeRequest({ key: 'k1', body: {} }), placeOrder).reached);
+});
+
+test('blank and oversized keys are rejected', () => {
+    const { idempotency } = setup();
+    const middleware = idempotency.middleware('orders');
+
+    assert.equal(run(middleware, fakeRequest({ key: ' ', body: {} })).res.statusCode, 400);
+    assert.equal(run(middleware, fakeRequest({ key: 'k'.repeat(256), body: {} })).res.statusCode, 400);
+});
+
+test('expired keys are pruned', () => {
+    const { repo, idempotency } = setup();
+
+    run(idempotency.middleware('orders'), fakeRequest({ key: 'k1', body: {} }), placeOrder);
+    idempotency.prune(Date.now() + 25 * 60 * 60 * 1000);
+
+    assert.equal(repo.count(), 0);
+});
+
+test('cart fingerprints ignore line and option order', () => {
+    const cart = (items) => cartFingerprint({ restaurantId: 'r1', fulfillment: 'delivery', items });
+    const paneer = { id: 2, quantity: 1, options: [{ groupId: 'g1', optionId: 'a' }, { groupId: 'g2', optionId: 'b' }] };
+    const naan = { id: 5, quantity: 2 };
+
+    assert.equal(cart([paneer, naan]), cart([naan, { ...paneer, options: [...paneer.options].reverse() }]));
+    assert.notEqual(cart([paneer, naan]), cart([paneer, { ...naan, quantity: 3 }]));
+});
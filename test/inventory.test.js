@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { STOCK_REASON, createInventory } = require('../lib/inventory');
+
+const actor = { id: 'staff_1', role: 'restaurant', name: 'Asha' };
+
+const setup = () => {
+    const store = createStore({ driver: 'memory' });
+    const menuRepo = store.collection('menuItems');
+    const inventoryLogRepo = store.collection('inventoryLog');
+
+    menuRepo.all().forEach(item => menuRepo.remove(item.id));
+    menuRepo.insert({ id: 101, restaurantId: 'r1', name: 'Rasmalai', price: 90, available: true, stock: 3 });
+    menuRepo.insert({ id: 102, restaurantId: 'r1', name: 'Dal', price: 150, available: true, stock: null });
+
+    return { menuRepo, inventoryLogRepo, inventory: createInventory({ menuRepo, inventoryLogRepo }) };
+};
+
+test('reserving sums every line for the same item and sells out at zero', () => {
+    const { menuRepo, inventoryLogRepo, inventory } = setup();
+
+    const { errors, items } = inventory.reserveForOrder('order_1', [
+        { id: 101, quantity: 2 },
+        { id: 101, quantity: 1 },
+        { id: 102, quantity: 5 }
+    ], actor);
+
+    assert.deepEqual(errors, []);
+    assert.equal(items.length, 1);
+    const item = menuRepo.findById(101);
+    assert.equal(item.stock, 0);
+    assert.equal(item.available, false);
+    assert.equal(item.soldOut, true);
+    assert.equal(menuRepo.findById(102).stock, null);
+
+    const [log] = inventoryLogRepo.all();
+    assert.equal(log.reason, STOCK_REASON.ORDER);
+    assert.equal(log.change, -3);
+    assert.equal(log.orderId, 'order_1');
+});
+
+test('an order asking for more than is left reserves nothing', () => {
+    const { menuRepo, inventoryLogRepo, inventory } = setup();
+
+    const { errors, items } = inventory.reserveForOrder('order_1', [{ id: 101, quantity: 4 }], actor);
+
+    assert.deepEqual(errors, [{ field: 'items', message: 'Only 3 Rasmalai left' }]);
+    assert.deepEqual(items, []);
+    assert.equal(menuRepo.findById(101).stock, 3);
+    assert.equal(inventoryLogRepo.count(), 0);
+});
+
+test('releasing an order puts stock back and switches a sold-out item on again', () => {
+    const { menuRepo, inventoryLogRepo, inventory } = setup();
+    const lines = [{ id: 101, quantity: 3 }];
+
+    inventory.reserveForOrder('order_1', lines, actor);
+    inventory.releaseForOrder('order_1', lines, actor, 'Cancelled by customer');
+
+    const item = menuRepo.findById(101);
+    assert.equal(item.stock, 3);
+    assert.equal(item.available, true);
+    assert.equal(item.soldOut, false);
+
+    const release = inventoryLogRepo.all()[1];
+    assert.equal(release.reason, STOCK_REASON.CANCELLATION);
+    assert.equal(release.change, 3);
+    assert.equal(release.note, 'Cancelled by customer');
+});
+
+test('items switched off by staff stay off after a restock', () => {
+    const { menuRepo, inventory } = setup();
+    menuRepo.update(101, { available: false });
+
+    const updated = inventory.restock(menuRepo.findById(101), { quantity: 2 }, actor);
+
+    assert.equal(updated.stock, 5);
+    assert.equal(updated.available, false);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ORDER_STATUS,
+    FULFILLMENT,
+    canTransition,
+    getAllowedTransitions,
+    isFinalStatus,
+    transitionOrder
+} = require('../lib/orderLifecycle');
+
+const { PENDING, ACCEPTED, PREPARING, READY, OUT_FOR_DELIVERY, DELIVERED, CANCELLED, REJECTED } = ORDER_STATUS;
+
+test('delivery orders follow the happy path one step at a time', () => {
+    const path = [PENDING, ACCEPTED, PREPARING, READY, OUT_FOR_DELIVERY, DELIVERED];
+    path.slice(1).forEach((status, index) => {
+        assert.ok(canTransition(path[index], status), `${path[index]} -> ${status}`);
+    });
+
+    assert.ok(!canTransition(PENDING, PREPARING));
+    assert.ok(!canTransition(READY, DELIVERED));
+    assert.ok(!canTransition(DELIVERED, PENDING));
+});
+
+test('pickup orders are collected straight from ready', () => {
+    assert.ok(canTransition(READY, DELIVERED, FULFILLMENT.PICKUP));
+    assert.ok(!canTransition(READY, OUT_FOR_DELIVERY, FULFILLMENT.PICKUP));
+});
+
+test('only pending orders can be rejected and nothing leaves a final status', () => {
+    assert.deepEqual(getAllowedTransitions(PENDING), [ACCEPTED, REJECTED, CANCELLED]);
+    assert.ok(!canTransition(ACCEPTED, REJECTED));
+    assert.ok(!canTransition(OUT_FOR_DELIVERY, CANCELLED));
+    [DELIVERED, CANCELLED, REJECTED].forEach(status => assert.ok(isFinalStatus(status), status));
+});
+
+test('transitions record history and need a reason to cancel or reject', () => {
+    const order = { status: PENDING, statusHistory: [] };
+    const actor = { id: 'staff_1', role: 'restaurant', name: 'Asha' };
+
+    assert.deepEqual(transitionOrder(order, CANCELLED, { actor, reason: '  ' }).errors,
+        ['A reason is required when an order is cancelled']);
+    assert.deepEqual(transitionOrder(order, 'eaten').errors, ['Unknown status: eaten']);
+
+    const { errors, changes } = transitionOrder(order, REJECTED, { actor, reason: ' Out of paneer ' });
+    assert.deepEqual(errors, []);
+    assert.equal(changes.status, REJECTED);
+    assert.equal(changes.statusReason, 'Out of paneer');
+    assert.deepEqual(changes.statusHistory.map(({ from, to, by }) => ({ from, to, by })), [{ from: PENDING, to: REJECTED, by: actor }]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PAYMENT_STATUS, canChangePaymentStatus, createGateway } = require('../lib/payments');
+
+const gateway = createGateway('mock', { webhookSecret: 'test_webhook_secret' });
+
+test('the mock gateway refuses its well-known secret unless allowed', () => {
+    assert.throws(() => createGateway('mock', {}), /non-default webhookSecret/);
+    assert.doesNotThrow(() => createGateway('mock', { allowDefaultSecret: true }));
+});
+
+test('webhook signatures are checked against the raw body', () => {
+    const { rawBody, signature } = gateway.buildWebhook('payment.captured', { gatewayOrderId: 'mock_order_1', amount: 292 });
+
+    assert.ok(gateway.verifyWebhookSignature(rawBody, signature));
+    assert.ok(!gateway.verifyWebhookSignature(rawBody.replace('292', '1'), signature));
+    assert.ok(!gateway.verifyWebhookSignature(rawBody, signature.slice(1)));
+    assert.ok(!gateway.verifyWebhookSignature(rawBody, undefined));
+
+    const other = createGateway('mock', { webhookSecret: 'another_secret' });
+    assert.ok(!other.verifyWebhookSignature(rawBody, signature));
+});
+
+test('webhook events carry an id to spot replays', () => {
+    const first = gateway.buildWebhook('payment.captured', { gatewayOrderId: 'mock_order_1', amount: 292 });
+    const second = gateway.buildWebhook('payment.captured', { gatewayOrderId: 'mock_order_1', amount: 292 });
+    const event = gateway.parseWebhookEvent(JSON.parse(first.rawBody));
+
+    assert.equal(event.type, 'payment.captured');
+    assert.equal(event.gatewayOrderId, 'mock_order_1');
+    assert.equal(event.amount, 292);
+    assert.notEqual(event.id, gateway.parseWebhookEvent(JSON.parse(second.rawBody)).id);
+});
+
+test('payments never move backwards and only paid ones are refunded', () => {
+    const { PENDING, AUTHORIZED, PAID, FAILED, REFUNDED } = PAYMENT_STATUS;
+
+    assert.ok(canChangePaymentStatus(PENDING, PAID));
+    assert.ok(canChangePaymentStatus(AUTHORIZED, PAID));
+    assert.ok(canChangePaymentStatus(FAILED, PAID));
+    assert.ok(canChangePaymentStatus(PAID, REFUNDED));
+    assert.ok(!canChangePaymentStatus(PAID, FAILED));
+    assert.ok(!canChangePaymentStatus(PAID, PENDING));
+    assert.ok(!canChangePaymentStatus(PENDING, REFUNDED));
+    assert.ok(!canChangePaymentStatus(REFUNDED, PAID));
+});
+
+test('refunds come back processed with their own id', async () => {
+    const refund = await gateway.refund({ paymentId: 'mock_pay_1', amount: 292 });
+
+    assert.equal(refund.status, 'processed');
+    assert.equal(refund.paymentId, 'mock_pay_1');
+    assert.equal(refund.amount, 292);
+    assert.match(refund.refundId, /^mock_rfnd_/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceOrder, applyDiscount, applyPickup, totalsMatch } = require('../lib/pricing');
+const { COUPON_TYPES, evaluateCoupon } = require('../lib/coupons');
+
+const CONFIG = { gstRate: 0.05, deliveryCharge: 40, freeDeliveryAbove: 500 };
+
+const MENU = [
+    { id: 1, name: 'Gulab Jamun', price: 120, category: 'sweets', available: true },
+    { id: 2, name: 'Paneer Tikka', price: 250, category: 'starters', available: true },
+    { id: 3, name: 'Biryani', price: 300, category: 'mains', available: false }
+];
+const findMenuItem = (id) => MENU.find(item => item.id === Number(id)) || null;
+
+const price = (items) => priceOrder(items, findMenuItem, CONFIG).pricing;
+
+const coupon = (overrides) => ({
+    id: 'cpn_1',
+    code: 'SAVE',
+    active: true,
+    type: COUPON_TYPES.PERCENTAGE,
+    value: 10,
+    ...overrides
+});
+
+test('prices lines from the menu, not the client', () => {
+    const pricing = price([{ id: 1, quantity: 2, price: 1 }]);
+
+    assert.equal(pricing.subtotal, 240);
+    assert.equal(pricing.deliveryCharge, 40);
+    assert.equal(pricing.taxTotal, 12);
+    assert.equal(pricing.total, 292);
+});
+
+test('delivery is free above the threshold and never charged for pickup', () => {
+    assert.equal(price([{ id: 2, quantity: 2 }]).deliveryCharge, 0);
+    assert.equal(applyPickup(price([{ id: 1, quantity: 1 }])).total, 126);
+});
+
+test('refuses unknown and unavailable items', () => {
+    const { errors, pricing } = priceOrder([{ id: 3, quantity: 1 }, { id: 99, quantity: 1 }], findMenuItem, CONFIG);
+
+    assert.equal(pricing, null);
+    assert.deepEqual(errors.map(error => error.field), ['items[0].id', 'items[1].id']);
+});
+
+test('client totals must agree to the paisa', () => {
+    assert.ok(totalsMatch(292, 292));
+    assert.ok(totalsMatch(291.999, 292));
+    assert.ok(!totalsMatch(291.98, 292));
+});
+
+test('percentage coupons discount food and GST is charged on what is left', () => {
+    const pricing = price([{ id: 1, quantity: 2 }]);
+    const { errors, discount } = evaluateCoupon(coupon(), pricing, { customerId: 'c1', findMenuItem });
+
+    assert.deepEqual(errors, []);
+    assert.equal(discount.itemDiscount, 24);
+    const discounted = applyDiscount(pricing, discount);
+    assert.equal(discounted.taxTotal, 10.8);
+    assert.equal(discounted.total, 266.8);
+});
+
+test('coupon caps, category restrictions and free delivery', () => {
+    const pricing = price([{ id: 1, quantity: 1 }, { id: 2, quantity: 1 }]);
+
+    const capped = evaluateCoupon(coupon({ value: 50, maxDiscount: 30 }), pricing, { customerId: 'c1', findMenuItem });
+    assert.equal(capped.discount.itemDiscount, 30);
+
+    const sweetsOnly = evaluateCoupon(coupon({ categories: ['sweets'] }), pricing, { customerId: 'c1', findMenuItem });
+    assert.equal(sweetsOnly.discount.itemDiscount, 12);
+
+    const freeDelivery = evaluateCoupon(coupon({ type: COUPON_TYPES.FREE_DELIVERY }), pricing, { customerId: 'c1', findMenuItem });
+    assert.equal(freeDelivery.discount.deliveryDiscount, 40);
+    assert.equal(applyDiscount(pricing, freeDelivery.discount).total, pricing.total - 40);
+});
+
+test('coupons enforce activity, dates, minimum order and redemption limits', () => {
+    const pricing = price([{ id: 1, quantity: 1 }]);
+    const context = { customerId: 'c1', findMenuItem, now: new Date('2026-06-01T00:00:00Z') };
+    const rejects = (overrides, extra = {}) =>
+        evaluateCoupon(coupon(overrides), pricing, { ...context, ...extra }).errors.length === 1;
+
+    assert.ok(rejects({ active: false }));
+    assert.ok(rejects({ validUntil: '2026-05-01T00:00:00Z' }));
+    assert.ok(rejects({ validFrom: '2026-07-01T00:00:00Z' }));
+    assert.ok(rejects({ minOrderValue: 500 }));
+    assert.ok(rejects({ usageLimit: 1 }, { redemptions: [{ customerId: 'c2' }] }));
+    assert.ok(rejects({ perCustomerLimit: 1 }, { redemptions: [{ customerId: 'c1' }] }));
+    assert.ok(!rejects({ perCustomerLimit: 1 }, { redemptions: [{ customerId: 'c2' }] }));
+});
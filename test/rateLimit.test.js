@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimitStore, createRateLimiter, resolveRules, httpLimit } = require('../lib/rateLimit');
+
+const limiterWith = (rules) => createRateLimiter({ store: createRateLimitStore('memory'), rules: resolveRules(rules) });
+
+test('overrides merge into the default rules', () => {
+    const rules = resolveRules({ orders: { user: 5 }, 'socket:custom': { ip: 3 } });
+
+    assert.deepEqual(rules.orders, { windowSeconds: 60, ip: 30, user: 5 });
+    assert.equal(rules['socket:custom'].ip, 3);
+    assert.equal(rules['socket:custom'].windowSeconds, 10);
+});
+
+test('calls are blocked once the window is used up and allowed again after it resets', async () => {
+    const limiter = limiterWith({ orders: { windowSeconds: 60, ip: 2, user: null } });
+    const now = Date.now();
+
+    assert.equal((await limiter.check('orders', { ip: '1.1.1.1' }, now)).remaining, 1);
+    assert.equal((await limiter.check('orders', { ip: '1.1.1.1' }, now)).allowed, true);
+
+    const blocked = await limiter.check('orders', { ip: '1.1.1.1' }, now);
+    assert.equal(blocked.allowed, false);
+    // The store reads its own clock, so the window may end a moment after `now` + 60s
+    assert.ok(blocked.retryAfter >= 60 && blocked.retryAfter <= 61, String(blocked.retryAfter));
+
+    assert.equal((await limiter.check('orders', { ip: '2.2.2.2' }, now)).allowed, true);
+});
+
+test('signed-in users are limited per user across IPs', async () => {
+    const limiter = limiterWith({ orders: { windowSeconds: 60, ip: 100, user: 1 } });
+
+    assert.equal((await limiter.check('orders', { ip: '1.1.1.1', userId: 'cust_1' })).allowed, true);
+
+    const blocked = await limiter.check('orders', { ip: '2.2.2.2', userId: 'cust_1' });
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.by, 'user');
+});
+
+test('unknown rules are not limited', async () => {
+    const result = await limiterWith({}).check('nope', { ip: '1.1.1.1' });
+
+    assert.equal(result.allowed, true);
+    assert.equal(result.limit, null);
+});
+
+test('the HTTP middleware answers 429 with Retry-After', async () => {
+    const limit = httpLimit(limiterWith({ auth: { windowSeconds: 60, ip: 1 } }), 'auth');
+    const call = async () => {
+        const res = { headers: {}, statusCode: 200 };
+        res.set = (headers, value) => {
+            Object.assign(res.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+            return res;
+        };
+        res.status = (code) => { res.statusCode = code; return res; };
+        res.json = (body) => { res.body = body; return res; };
+
+        let reached = false;
+        await limit({ ip: '1.1.1.1' }, res, () => { reached = true; });
+        return { res, reached };
+    };
+
+    const first = await call();
+    assert.ok(first.reached);
+    assert.equal(first.res.headers['RateLimit-Remaining'], '0');
+
+    const second = await call();
+    assert.equal(second.reached, false);
+    assert.equal(second.res.statusCode, 429);
+    assert.ok(['60', '61'].includes(second.res.headers['Retry-After']), second.res.headers['Retry-After']);
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createGateway } = require('../lib/payments');
+
+// End-to-end checks against a real server on an in-memory store
+const WEBHOOK_SECRET = 'test_webhook_secret';
+const ADMIN = { email: 'admin@zaika.test', password: 'secret123' };
+const gateway = createGateway('mock', { webhookSecret: WEBHOOK_SECRET });
+
+let server;
+let baseUrl;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const startServer = async () => {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            PORT: String(port),
+            STORE_DRIVER: 'memory',
+            PAYMENT_GATEWAY: 'mock',
+            PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET,
+            AUTH_SECRET: 'test_auth_secret',
+            RESTAURANT_ADMIN_EMAIL: ADMIN.email,
+            RESTAURANT_ADMIN_PASSWORD: ADMIN.password,
+            RATE_LIMITS: JSON.stringify({ orders: { ip: 1000, user: 1000 }, api: { ip: 5000, user: 5000 } })
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('Server running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+
+    return { child, baseUrl: `http://127.0.0.1:${port}` };
+};
+
+const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+            'content-type': 'application/json',
+            ...(token ? { authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        // not every response is JSON (e.g. 404 pages)
+    }
+    return { status: response.status, headers: response.headers, body: json };
+};
+
+const sendWebhook = ({ rawBody, signature }) => request('POST', '/api/payments/webhook', {
+    body: rawBody,
+    headers: { [gateway.signatureHeader]: signature }
+});
+
+// Refunds are issued in the background after the response
+const waitFor = async (check, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result || Date.now() > deadline) return result;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+};
+
+let customerToken;
+let staffToken;
+
+const ORDER = { items: [{ id: 1, quantity: 1 }], customerInfo: { name: 'Asha' }, allowDuplicate: true };
+
+const placeOrder = async (overrides = {}, headers = {}) => {
+    const quote = await request('POST', '/api/orders', { token: customerToken, body: { ...ORDER, total: 1, ...overrides } });
+    assert.equal(quote.status, 400);
+    const total = quote.body.data.total;
+
+    return request('POST', '/api/orders', { token: customerToken, body: { ...ORDER, total, ...overrides }, headers });
+};
+
+test.before(async () => {
+    ({ child: server, baseUrl } = await startServer());
+
+    const register = await request('POST', '/api/auth/register', {
+        body: { name: 'Asha', phone: '9876543210', password: 'password1' }
+    });
+    customerToken = register.body.data.token;
+
+    const login = await request('POST', '/api/auth/login', { body: { userType: 'restaurant', ...ADMIN } });
+    staffToken = login.body.data.token;
+
+    // Open around the clock so the tests don't depend on the time of day
+    await request('PUT', '/api/restaurants/zaika-main', { token: staffToken, body: { openTime: '00:00', closeTime: '00:00' } });
+});
+
+test.after(() => {
+    if (server) server.kill();
+});
+
+test('an order whose total disagrees with the server is refused with the real total', async () => {
+    const response = await request('POST', '/api/orders', { token: customerToken, body: { ...ORDER, total: 1 } });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.data.total > 1);
+});
+
+test('a retried order with the same Idempotency-Key is placed once', async () => {
+    const first = await placeOrder({}, { 'Idempotency-Key': 'retry-1' });
+    const retry = await placeOrder({}, { 'Idempotency-Key': 'retry-1' });
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(retry.body.data.id, first.body.data.id);
+});
+
+test('webhooks with a bad signature are refused', async () => {
+    const order = await placeOrder({ paymentMethod: 'upi' });
+    const webhook = gateway.buildWebhook('payment.captured', {
+        gatewayOrderId: order.body.payment.checkout.gatewayOrderId,
+        amount: order.body.data.total
+    });
+
+    const forged = await sendWebhook({ rawBody: webhook.rawBody, signature: '0'.repeat(64) });
+    assert.equal(forged.status, 400);
+
+    const current = await request('GET', `/api/orders/${order.body.data.id}`, { token: customerToken });
+    assert.equal(current.body.data.paymentStatus, 'pending');
+});
+
+test('a replayed webhook is acknowledged but applied once', async () => {
+    const order = await placeOrder({ paymentMethod: 'upi' });
+    const webhook = gateway.buildWebhook('payment.captured', {
+        gatewayOrderId: order.body.payment.checkout.gatewayOrderId,
+        amount: order.body.data.total
+    });
+
+    const first = await sendWebhook(webhook);
+    const replay = await sendWebhook(webhook);
+
+    assert.equal(first.body.applied, true);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.applied, false);
+
+    const current = await request('GET', `/api/orders/${order.body.data.id}`, { token: customerToken });
+    assert.equal(current.body.data.paymentStatus, 'paid');
+});
+
+test('cancelling a paid order refunds it', async () => {
+    const order = await placeOrder({ paymentMethod: 'upi' });
+    await sendWebhook(gateway.buildWebhook('payment.captured', {
+        gatewayOrderId: order.body.payment.checkout.gatewayOrderId,
+        amount: order.body.data.total
+    }));
+
+    const cancel = await request('POST', `/api/orders/${order.body.data.id}/cancel`, {
+        token: customerToken,
+        body: { reason: 'Ordered by mistake' }
+    });
+    assert.equal(cancel.status, 200);
+
+    const refunded = await waitFor(async () => {
+        const current = await request('GET', `/api/orders/${order.body.data.id}`, { token: customerToken });
+        return current.body.data.paymentStatus === 'refunded' ? current.body.data : null;
+    });
+    assert.ok(refunded, 'order was not refunded');
+    assert.equal(refunded.refund.amount, order.body.data.total);
+});
+
+test('only public/ is served - source, config and data files are not', async () => {
+    for (const url of ['/data/zaika.json', '/server.js', '/package.json', '/lib/store/index.js', '/.gitignore']) {
+        const response = await request('GET', url);
+        assert.equal(response.status, 404, url);
+    }
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+
+test('a session secret left in the store by older versions is dropped', () => {
+    const store = createStore({
+        driver: 'memory',
+        initialData: { meta: { schemaVersion: 16, authSecret: 'leaked' }, collections: {} }
+    });
+
+    assert.equal(store.schemaVersion, 17);
+    assert.equal(store.meta.get('authSecret'), undefined);
+});
+
+const countingDriver = () => {
+    const driver = { name: 'counting', saves: 0, load: () => null, save: () => { driver.saves += 1; } };
+    return driver;
+};
+
+test('changes made in one tick are saved with a single write', async () => {
+    const driver = countingDriver();
+    const store = createStore({ driver });
+    const menuRepo = store.collection('menuItems');
+    const savesAfterMigrations = driver.saves;
+
+    menuRepo.insert({ id: 'a', name: 'Samosa' });
+    menuRepo.insert({ id: 'b', name: 'Chai' });
+    menuRepo.update('a', { price: 20 });
+    store.meta.set('lastSeen', 1);
+    assert.equal(driver.saves, savesAfterMigrations);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(driver.saves, savesAfterMigrations + 1);
+});
+
+test('flush writes pending changes straight away and skips a clean store', () => {
+    const driver = countingDriver();
+    const store = createStore({ driver });
+    const savesAfterMigrations = driver.saves;
+
+    store.flush();
+    assert.equal(driver.saves, savesAfterMigrations);
+
+    store.collection('menuItems').insert({ id: 'a', name: 'Samosa' });
+    store.flush();
+    assert.equal(driver.saves, savesAfterMigrations + 1);
+});